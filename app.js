@@ -1,21 +1,46 @@
 // Golf Dashboard Application
 class GolfDashboard {
     constructor() {
-        this.tournaments = [];
+        this.events = [];
         this.charts = {};
-        this.retryCount = 0;
-        this.maxRetries = 3;
         this.connectionStatus = 'online';
+        this.leaderboardView = 'individual';
+        this.recentView = 'events';
+        this.changeLog = [];
+        this.loggedRounds = [];
+        this.handicaps = {};
+        this.ratings = Ratings.initial();
+        this.issues = [];
+        this.updateRequested = false;
+        this.installPrompt = null;
+        this.dataStale = false;
+        this.editingEventId = null;
+        this.pendingImport = null;
+        this.filterBar = null;
+        this.store = new TournamentStore();
+        this.data = new ChampionshipData({ store: this.store });
+        this.trophies = new TrophyRegistry();
+        this.courses = new CourseRegistry();
         this.init();
     }
 
     async init() {
         try {
+            this.setupInstallPrompt();
             this.showConnectionStatus('online');
+            await this.configureSync();
+            this.trophies = await TrophyRegistry.load();
+            this.courses = await CourseRegistry.load();
             await this.loadData();
+            await this.loadChangeLog();
+            await this.loadRounds();
+            this.renderTrophyOptions();
+            this.setupFilterBar();
             this.setupEventListeners();
             this.renderDashboard();
+            this.route();
             this.setupServiceWorker();
+            if (this.dataStale) this.revalidateData();
         } catch (error) {
             console.error('Initialization failed:', error);
             this.handleError(error);
@@ -50,92 +75,161 @@ class GolfDashboard {
         }
     }
 
+    // The cached copy when there is one, so the first render does not wait
+    // for the network; a stale copy is revalidated once the dashboard is up
     async loadData() {
+        const cached = await this.data.loadCached();
+        const result = cached || await this.data.load();
+        this.applyData(result);
+        this.dataStale = Boolean(cached && cached.stale);
+
+        const errors = ChampionshipValidator.errors(this.issues).length;
+        if (errors) {
+            this.showNotification(`${errors} data problem${errors === 1 ? '' : 's'} found; see the Data Check card`, 'error');
+        }
+    }
+
+    applyData({ events, source, updatedAt }) {
+        this.setEvents(events);
+        this.renderDataAge(source, updatedAt);
+        this.ratings = Ratings.compute(this.events);
+        this.validateData();
+    }
+
+    // Fetch in the background through the ETag-aware loader and redraw only
+    // the sections whose figures moved. Events added on this device are
+    // merged back in by the loader.
+    async revalidateData() {
         try {
-            // Try to load from cache first
-            const cachedData = this.getCachedData();
-            if (cachedData) {
-                this.tournaments = cachedData;
-                console.log('Loaded data from cache');
-                return;
+            const result = await this.data.revalidate();
+            if (result.changed) {
+                const before = this.sectionSnapshots();
+                this.applyData(result);
+                this.renderChangedSections(before);
+            } else {
+                this.renderDataAge(result.source, result.updatedAt);
             }
-
-            // Fetch fresh data
-            const response = await this.fetchWithRetry('./data/championships.json');
-            this.tournaments = await response.json();
-            
-            // Cache the data
-            this.setCachedData(this.tournaments);
-            console.log('Loaded fresh data and cached it');
-            
-        } catch (error) {
-            console.error('Failed to load data:', error);
-            
-            // Try to load from localStorage as fallback
-            const fallbackData = this.getCachedData();
-            if (fallbackData) {
-                this.tournaments = fallbackData;
+            this.dataStale = result.stale;
+            if (result.source === 'cache') {
                 this.showConnectionStatus('offline');
                 console.log('Using cached data due to network error');
-            } else {
-                throw new Error('No data available');
             }
+            return result;
+        } catch (error) {
+            console.warn('Failed to revalidate data, keeping the cached copy:', error.message);
+            this.showConnectionStatus('offline');
+            return null;
         }
     }
 
-    async fetchWithRetry(url, options = {}) {
-        for (let i = 0; i < this.maxRetries; i++) {
-            try {
-                const response = await fetch(url, {
-                    ...options,
-                    cache: 'no-cache',
-                    headers: {
-                        'Cache-Control': 'no-cache',
-                        ...options.headers
-                    }
-                });
-                
-                if (!response.ok) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
-                
-                return response;
-            } catch (error) {
-                console.warn(`Fetch attempt ${i + 1} failed:`, error.message);
-                
-                if (i === this.maxRetries - 1) {
-                    throw error;
-                }
-                
-                // Exponential backoff
-                await this.delay(Math.pow(2, i) * 1000);
-            }
+    // What each dashboard section shows, keyed by its render method, so a
+    // refresh can tell which sections changed
+    sectionSnapshots() {
+        const events = this.filteredEvents();
+        const results = events.map(event => [event.id, event.trophy, event.startDate, event.results]);
+        return {
+            updateStats: ChampionshipStats.summary(events),
+            renderCharts: results,
+            renderLeaderboard: [results, this.handicaps],
+            renderRecentTournaments: events,
+            renderTrophyCards: ChampionshipStats.trophyWinners(events),
+            renderRatings: Ratings.table(this.ratings),
+            renderHandicaps: [this.handicaps, this.loggedRounds],
+            renderBestRounds: Scoring.bestWinningRounds(events, this.courses).slice(0, 10),
+            renderRecordBook: ChampionshipStats.recordBook(events),
+            renderRecordsTable: events,
+            renderDataCheck: this.issues,
+            renderDetailView: this.events
+        };
+    }
+
+    renderChangedSections(before) {
+        if (this.filterBar) this.filterBar.setEvents(this.events);
+        this.handicaps = Handicap.summary(this.loggedRounds, this.events, this.courses);
+
+        const after = this.sectionSnapshots();
+        const changed = Object.keys(after).filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+        changed.forEach(key => this[key]());
+        return changed;
+    }
+
+    // "Data as of" badge, shown while the data is an out-of-date cached copy
+    renderDataAge(source, updatedAt) {
+        const badge = document.getElementById('dataAsOf');
+        if (!badge) return;
+
+        badge.style.display = source === 'cache' && this.data.isStale(updatedAt) ? 'inline-block' : 'none';
+        badge.textContent = updatedAt
+            ? `📦 Data as of ${new Date(updatedAt).toLocaleString()}`
+            : '📦 Showing saved data';
+    }
+
+    async loadChangeLog() {
+        try {
+            this.changeLog = await this.store.getChangeLog();
+        } catch (error) {
+            console.warn('Failed to read change log:', error);
+            this.changeLog = [];
         }
     }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    async loadRounds() {
+        try {
+            this.loggedRounds = await this.store.getRounds();
+        } catch (error) {
+            console.warn('Failed to read logged rounds:', error);
+            this.loggedRounds = [];
+        }
     }
 
-    getCachedData() {
+    // The sync endpoint comes from <meta name="sync-endpoint">; the service
+    // worker reads it back from IndexedDB
+    async configureSync() {
+        const meta = document.querySelector('meta[name="sync-endpoint"]');
+        if (!meta) return;
+
         try {
-            const cached = localStorage.getItem('golf-tournaments');
-            return cached ? JSON.parse(cached) : null;
+            await this.store.setSyncEndpoint(meta.content.trim());
         } catch (error) {
-            console.warn('Failed to load cached data:', error);
-            return null;
+            console.warn('Failed to configure sync endpoint:', error);
         }
     }
 
-    setCachedData(data) {
+    async syncPendingChanges() {
         try {
-            localStorage.setItem('golf-tournaments', JSON.stringify(data));
-            localStorage.setItem('golf-tournaments-timestamp', Date.now().toString());
+            const result = await this.store.requestSync();
+            if (result.sent) {
+                this.showNotification(`${result.sent} tournament change${result.sent === 1 ? '' : 's'} synced`);
+            }
         } catch (error) {
-            console.warn('Failed to cache data:', error);
+            console.warn('Sync failed, changes stay queued:', error.message);
         }
     }
 
+    // Course names are kept in their canonical registry form
+    setEvents(events) {
+        this.events = this.courses.normalizeEvents(events);
+    }
+
+    // Integrity checks over every event, whatever the filters
+    validateData() {
+        this.issues = ChampionshipValidator.validate(this.events, { trophies: this.trophies.names() });
+    }
+
+    // Events matching the filter bar; every view and export works on these,
+    // while edits and imports always see the full list
+    filteredEvents() {
+        return this.filterBar ? ChampionshipFilter.apply(this.events, this.filterBar.filter) : this.events;
+    }
+
+    setupFilterBar() {
+        this.filterBar = new FilterBar({
+            container: document.getElementById('filterBar'),
+            trophies: this.trophies,
+            onChange: () => this.renderDashboard()
+        });
+    }
+
     setupEventListeners() {
         // Form submission
         const form = document.getElementById('tournamentForm');
@@ -143,24 +237,61 @@ class GolfDashboard {
             form.addEventListener('submit', (e) => this.handleFormSubmit(e));
         }
 
+        const courseInput = document.getElementById('courseName');
+        if (courseInput) {
+            courseInput.addEventListener('change', () => this.updateCourseDetailsHint());
+        }
+
+        const roundForm = document.getElementById('roundForm');
+        if (roundForm) {
+            roundForm.addEventListener('submit', (e) => this.handleRoundSubmit(e));
+        }
+
+        const roundCourse = document.getElementById('roundCourseName');
+        if (roundCourse) {
+            roundCourse.addEventListener('change', () => this.fillRoundCourseDetails());
+        }
+
+        const teamCheckbox = document.getElementById('teamEvent');
+        if (teamCheckbox) {
+            teamCheckbox.addEventListener('change', () => this.toggleTeamFields());
+        }
+
+        this.setupImportListeners();
+
         // Modal close events
         window.addEventListener('click', (e) => {
-            const modal = document.getElementById('addTournamentModal');
-            if (e.target === modal) {
+            if (e.target === document.getElementById('addTournamentModal')) {
                 this.closeAddTournamentModal();
             }
+            if (e.target === document.getElementById('importModal')) {
+                this.closeImportModal();
+            }
+            if (e.target === document.getElementById('exportModal')) {
+                this.closeExportModal();
+            }
+            if (e.target === document.getElementById('roundModal')) {
+                this.closeRoundModal();
+            }
         });
 
         // Keyboard events
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 this.closeAddTournamentModal();
+                this.closeImportModal();
+                this.closeExportModal();
+                this.closeRoundModal();
             }
         });
 
+        // Hash routes: #/player/<slug> opens a player profile
+        window.addEventListener('hashchange', () => this.route());
+
         // Online/offline detection
         window.addEventListener('online', () => {
             this.showConnectionStatus('online');
+            this.syncPendingChanges();
             this.refreshData();
         });
 
@@ -170,43 +301,137 @@ class GolfDashboard {
     }
 
     async refreshData() {
-        try {
-            this.showConnectionStatus('reconnecting');
-            await this.loadData();
-            this.renderDashboard();
-            this.showConnectionStatus('online');
-        } catch (error) {
-            console.error('Failed to refresh data:', error);
-            this.showConnectionStatus('offline');
-        }
+        this.showConnectionStatus('reconnecting');
+        const result = await this.revalidateData();
+        if (result && result.source === 'network') this.showConnectionStatus('online');
     }
 
     renderDashboard() {
+        if (this.filterBar) this.filterBar.setEvents(this.events);
+        // Indexes follow each player's whole record, whatever the filters
+        this.handicaps = Handicap.summary(this.loggedRounds, this.events, this.courses);
         this.updateStats();
         this.renderCharts();
         this.renderLeaderboard();
         this.renderRecentTournaments();
         this.renderTrophyCards();
+        this.renderRatings();
+        this.renderHandicaps();
+        this.renderBestRounds();
+        this.renderRecordBook();
+        this.renderRecordsTable();
+        this.renderDataCheck();
+        this.renderChangeHistory();
+        this.renderDetailView();
+    }
+
+    // #/player/<slug>, #/course/<slug>, #/record/<event id> or
+    // #/trip/<trip id>, otherwise null
+    currentRoute() {
+        const match = window.location.hash.match(/^#\/(player|course|record|trip)\/([\w-]+)$/);
+        return match ? { view: match[1], slug: match[2] } : null;
+    }
+
+    renderDetailView() {
+        const route = this.currentRoute();
+        if (!route) return;
+
+        if (route.view === 'player') {
+            this.renderPlayerProfile(route.slug);
+        } else if (route.view === 'record') {
+            this.renderRecordPage(route.slug);
+        } else if (route.view === 'trip') {
+            this.renderTripPage(route.slug);
+        } else {
+            this.renderCoursePage(route.slug);
+        }
+    }
+
+    // Show the player or course page for a detail route, otherwise the
+    // dashboard. #/add, the home-screen shortcut, opens the add-tournament
+    // form over the dashboard.
+    route() {
+        if (window.location.hash === '#/add') {
+            history.replaceState(null, '', `${window.location.pathname}${window.location.search}#/`);
+            this.openAddTournamentModal();
+        }
+
+        const route = this.currentRoute();
+        const detailView = document.getElementById('detailView');
+        const dashboardView = document.getElementById('dashboardView');
+        if (!detailView || !dashboardView) return;
+
+        this.renderDetailView();
+        detailView.style.display = route ? 'block' : 'none';
+        dashboardView.style.display = route ? 'none' : 'block';
+        window.scrollTo(0, 0);
+    }
+
+    // Links take plain text and escape it
+    playerLink(name) {
+        return `<a class="player-link" href="#/player/${ChampionshipModel.slugify(name)}">${ChampionshipModel.escapeHtml(name)}</a>`;
+    }
+
+    courseLink(name) {
+        return `<a class="player-link" href="#/course/${ChampionshipModel.slugify(name)}">${ChampionshipModel.escapeHtml(name)}</a>`;
+    }
+
+    recordLink(event, text) {
+        return `<a class="player-link" href="#/record/${event.id}">${ChampionshipModel.escapeHtml(text)}</a>`;
+    }
+
+    tripLink(trip, text = trip.name) {
+        return `<a class="player-link" href="#/trip/${trip.id}">${ChampionshipModel.escapeHtml(text)}</a>`;
     }
 
     updateStats() {
-        const totalTournaments = this.tournaments.length;
-        const uniqueChampions = [...new Set(this.tournaments.map(t => t.name))].length;
-        
-        // Find top champion
-        const championCounts = {};
-        this.tournaments.forEach(t => {
-            championCounts[t.name] = (championCounts[t.name] || 0) + 1;
-        });
-        
-        const topChampion = Object.entries(championCounts)
-            .sort(([,a], [,b]) => b - a)[0];
+        const summary = ChampionshipStats.summary(this.filteredEvents());
+
+        this.updateElement('totalTournaments', summary.totalEvents);
+        this.updateElement('activeChampions', summary.champions);
+        this.updateElement('trophyTypes', summary.trophyTypes);
+
+        if (summary.latest) {
+            this.updateElement('latestChampion', summary.latestWinners.join(' & '));
+            this.updateElement('latestDate', this.formatDate(summary.latest.startDate) +
+                (summary.latestMargin !== null ? ` · won by ${this.formatMargin(summary.latestMargin)}` : ''));
+        } else {
+            this.updateElement('latestChampion', '-');
+            this.updateElement('latestDate', 'No tournaments match the filters');
+        }
+    }
+
+    formatMargin(margin) {
+        if (margin === 0) return 'playoff';
+        return `${margin} stroke${margin === 1 ? '' : 's'}`;
+    }
 
-        // Update DOM
-        this.updateElement('totalTournaments', totalTournaments);
-        this.updateElement('activeChampions', uniqueChampions);
-        this.updateElement('topChampionCount', topChampion ? topChampion[1] : 0);
-        this.updateElement('topChampionName', topChampion ? `${topChampion[0]} Titles` : 'No Data');
+    // "R1 Pinehurst #3 (72) · R2 Pinehurst #5 ..." for multi-round events
+    formatRounds(event, result) {
+        const scores = result && result.roundScores ? result.roundScores : [];
+        if (event.courses.length === 1 && scores.every(score => score === null)) {
+            return `${event.rounds.length} rounds at ${event.courses[0]}`;
+        }
+
+        return event.rounds.map((round, i) => {
+            const score = scores[i] === undefined ? null : scores[i];
+            return `R${round.number} ${round.course}${score !== null ? ` (${score})` : ''}`;
+        }).join(' · ');
+    }
+
+    formatScore(event, result) {
+        if (!result || result.score === null) return '-';
+        const score = `${result.score}${event.scoring === 'net' ? ' net' : ''}${this.formatToPar(event, result)}`;
+        if (!event.rounds.length) return score;
+
+        const average = ChampionshipModel.averagePerRound(event, result);
+        return `${score}, ${average.toFixed(1)}/round over ${event.rounds.length}`;
+    }
+
+    // " (+15)" after a score when the par of every round is known
+    formatToPar(event, result) {
+        const toPar = Scoring.scoreToPar(event, result, this.courses);
+        return toPar === null ? '' : ` (${Scoring.formatToPar(toPar)})`;
     }
 
     updateElement(id, value) {
@@ -225,29 +450,22 @@ class GolfDashboard {
         const ctx = document.getElementById('trophyChart');
         if (!ctx) return;
 
-        // Count trophies by type
-        const trophyCounts = {};
-        this.tournaments.forEach(t => {
-            trophyCounts[t.trophy] = (trophyCounts[t.trophy] || 0) + 1;
-        });
+        // Count events by trophy type, in registry order and colors
+        const trophyCounts = ChampionshipStats.eventsByTrophy(this.filteredEvents());
+        const labels = this.trophies.sort(Object.keys(trophyCounts));
 
         // Destroy existing chart
         if (this.charts.trophyChart) {
             this.charts.trophyChart.destroy();
         }
 
-        const colors = [
-            '#FFD700', '#4CAF50', '#FF9800', '#2196F3', 
-            '#9C27B0', '#FF5722', '#795548', '#607D8B'
-        ];
-
-        this.charts.trophyChart = new Chart(ctx, {
+        this.charts.trophyChart = ChartView.create(ctx, {
             type: 'doughnut',
             data: {
-                labels: Object.keys(trophyCounts),
+                labels: labels,
                 datasets: [{
-                    data: Object.values(trophyCounts),
-                    backgroundColor: colors.slice(0, Object.keys(trophyCounts).length),
+                    data: labels.map(trophy => trophyCounts[trophy]),
+                    backgroundColor: labels.map(trophy => this.trophies.colorFor(trophy)),
                     borderWidth: 2,
                     borderColor: '#fff'
                 }]
@@ -259,7 +477,7 @@ class GolfDashboard {
                     legend: {
                         position: 'bottom',
                         labels: {
-                            padding: 0"color:#005CC5">15,
+                            padding: 15,
                             usePointStyle: true,
                             generateLabels: function(chart) {
                                 const data = chart.data;
@@ -287,47 +505,29 @@ class GolfDashboard {
         const ctx = document.getElementById('performanceChart');
         if (!ctx) return;
 
-        // Group tournaments by year and player
-        const yearlyData = {};
-        this.tournaments.forEach(t => {
-            const year = new Date(t.date).getFullYear();
-            if (!yearlyData[year]) yearlyData[year] = {};
-            yearlyData[year][t.name] = (yearlyData[year][t.name] || 0) + 1;
-        });
-
-        // Get all unique players
-        const players = [...new Set(this.tournaments.map(t => t.name))];
-        const years = Object.keys(yearlyData).sort();
-
-        // Calculate total wins for each player
-        const playerTotals = {};
-        this.tournaments.forEach(t => {
-            playerTotals[t.name] = (playerTotals[t.name] || 0) + 1;
-        });
-
-        // Create datasets for each player
-        const datasets = players.map((player, index) => {
-            const colors = [
-                '#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0',
-                '#9966FF', '#FF9F40', '#FF6384', '#C9CBCF'
-            ];
-            
-            return {
-                label: `${player} (${playerTotals[player]})`,
-                data: years.map(year => yearlyData[year][player] || 0),
-                borderColor: colors[index % colors.length],
-                backgroundColor: colors[index % colors.length] + '20',
-                tension: 0.4,
-                fill: false
-            };
-        });
+        // Titles per player per year
+        const { years, totals, series } = ChampionshipStats.titlesByYear(this.filteredEvents());
+
+        const colors = [
+            '#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0',
+            '#9966FF', '#FF9F40', '#FF6384', '#C9CBCF'
+        ];
+
+        const datasets = series.map(({ player, counts }, index) => ({
+            label: `${player} (${totals[player]})`,
+            data: counts,
+            borderColor: colors[index % colors.length],
+            backgroundColor: colors[index % colors.length] + '20',
+            tension: 0.4,
+            fill: false
+        }));
 
         // Destroy existing chart
         if (this.charts.performanceChart) {
             this.charts.performanceChart.destroy();
         }
 
-        this.charts.performanceChart = new Chart(ctx, {
+        this.charts.performanceChart = ChartView.create(ctx, {
             type: 'line',
             data: {
                 labels: years,
@@ -341,7 +541,7 @@ class GolfDashboard {
                         position: 'top',
                         labels: {
                             usePointStyle: true,
-                            padding: 0"color:#005CC5">15,
+                            padding: 15,
                             font: {
                                 size: 11
                             }
@@ -364,297 +564,1718 @@ class GolfDashboard {
         const leaderboard = document.getElementById('leaderboard');
         if (!leaderboard) return;
 
-        // Count championships per player
-        const championCounts = {};
-        this.tournaments.forEach(t => {
-            championCounts[t.name] = (championCounts[t.name] || 0) + 1;
+        document.querySelectorAll('#leaderboardToggle button').forEach(button => {
+            button.classList.toggle('active', button.dataset.view === this.leaderboardView);
         });
 
-        // Sort by count
-        const sortedChampions = Object.entries(championCounts)
-            .sort(([,a], [,b]) => b - a);
+        if (this.leaderboardView === 'team') {
+            this.renderTeamLeaderboard(leaderboard);
+            return;
+        }
 
-        // Render leaderboard
-        leaderboard.innerHTML = sortedChampions.map(([name, count], index) => `
+        // Individual titles credited per player, team wins included, sorted by
+        // count and then by runner-up finishes
+        leaderboard.innerHTML = ChampionshipStats.leaderboard(this.filteredEvents()).map((player, index) => `
             <li class="leaderboard-item">
                 <div class="player-info">
                     <div class="player-rank">${index + 1}</div>
-                    <div class="player-name">${name}</div>
+                    <div class="player-name">${this.playerLink(player.name)}${this.renderHandicapIndex(player.name)}</div>
+                </div>
+                <div class="player-titles">
+                    ${player.total} titles
+                    ${player.team ? `<span class="player-runner-ups">${player.team} team</span>` : ''}
+                    ${player.runnerUps ? `<span class="player-runner-ups">${player.runnerUps} 2nd</span>` : ''}
                 </div>
-                <div class="player-titles">${count} titles</div>
             </li>
         `).join('');
     }
 
-    renderRecentTournaments() {
-        const container = document.getElementById('recentTournaments');
-        if (!container) return;
+    // Current handicap index with a sparkline of its history
+    renderHandicapIndex(name) {
+        const handicap = this.handicaps[name];
+        if (!handicap) return '';
+
+        const history = handicap.history.slice(-Handicap.WINDOW);
+        const title = `Handicap index history: ${history.map(entry => Handicap.format(entry.value)).join(' → ')}`;
+        return `<span class="handicap-index" title="${title}">HI ${Handicap.format(handicap.current)}${this.renderSparkline(history.map(entry => entry.value))}</span>`;
+    }
 
-        // Sort tournaments by date (most recent first)
-        const recentTournaments = [...this.tournaments]
-            .sort((a, b) => new Date(b.date) - new Date(a.date))
-            .slice(0, 10);
+    renderSparkline(values) {
+        if (values.length < 2) return '';
 
-        container.innerHTML = recentTournaments.map(tournament => `
-            <div class="tournament-item">
-                <div class="tournament-date">${this.formatDate(tournament.date)}</div>
-                <div class="tournament-title">${tournament.name} - ${tournament.trophy}</div>
-                <div class="tournament-details">
-                    ${tournament.course} | Score: ${tournament.score}
-                    ${tournament.history ? `<br><em>${tournament.history}</em>` : ''}
+        const min = Math.min(...values);
+        const range = Math.max(...values) - min || 1;
+        const points = values.map((value, i) => `${(i / (values.length - 1)) * 60},${16 - ((value - min) / range) * 14}`).join(' ');
+        return `<svg class="sparkline" viewBox="0 0 60 18" aria-hidden="true"><polyline points="${points}"/></svg>`;
+    }
+
+    renderTeamLeaderboard(leaderboard) {
+        const teams = ChampionshipStats.teamLeaderboard(this.filteredEvents());
+
+        if (teams.length === 0) {
+            leaderboard.innerHTML = '<li class="leaderboard-item">No team titles yet</li>';
+            return;
+        }
+
+        leaderboard.innerHTML = teams.map((team, index) => `
+            <li class="leaderboard-item">
+                <div class="player-info">
+                    <div class="player-rank">${index + 1}</div>
+                    <div>
+                        <div class="player-name">${ChampionshipModel.escapeHtml(team.name)}</div>
+                        <div class="player-roster">${ChampionshipModel.escapeHtml(team.trophies.join(', '))}</div>
+                    </div>
                 </div>
-            </div>
+                <div class="player-titles">${team.titles} titles</div>
+            </li>
         `).join('');
     }
 
-    renderTrophyCards() {
-        const trophyTypes = ['Petty Cup', 'COW/UCOW', 'Paultz', 'TAMC', 'COW', 'SUC', 'UCOW', 'Brycehurst'];
-        
-        trophyTypes.forEach(trophyType => {
-            this.renderIndividualTrophyCard(trophyType);
-        });
+    setLeaderboardView(view) {
+        this.leaderboardView = view;
+        this.renderLeaderboard();
     }
 
-    renderIndividualTrophyCard(trophyType) {
-        const trophyData = this.tournaments.filter(t => t.trophy === trophyType);
-        
-        if (trophyData.length === 0) return;
+    setRecentView(view) {
+        this.recentView = view;
+        this.renderRecentTournaments();
+    }
+
+    // The last five events, or the last five trips as collapsible groups
+    // with the latest one open
+    renderRecentTournaments() {
+        const container = document.getElementById('recentTournaments');
+        if (!container) return;
 
-        // Count winners
-        const winnerCounts = {};
-        trophyData.forEach(t => {
-            winnerCounts[t.name] = (winnerCounts[t.name] || 0) + 1;
+        document.querySelectorAll('#recentToggle button').forEach(button => {
+            button.classList.toggle('active', button.dataset.view === this.recentView);
         });
 
-        // Update total count
-        const totalElement = document.getElementById(this.getTrophyTotalId(trophyType));
-        if (totalElement) {
-            totalElement.textContent = `${trophyData.length}`;
+        if (this.recentView === 'trips') {
+            const trips = ChampionshipTrips.group(this.filteredEvents()).reverse().slice(0, 5);
+            container.innerHTML = trips.map((trip, i) => {
+                const mvp = ChampionshipTrips.mvp(trip).map(entry => entry.player).join(' & ');
+                return `
+                    <details class="trip-group"${i === 0 ? ' open' : ''}>
+                        <summary>
+                            ${ChampionshipModel.escapeHtml(trip.name)}
+                            <span class="trip-meta">${this.formatTripDates(trip)} · ${trip.events.length} tournament${trip.events.length === 1 ? '' : 's'}${mvp ? ` · MVP ${ChampionshipModel.escapeHtml(mvp)}` : ''}</span>
+                        </summary>
+                        ${ChampionshipStats.byDate(trip.events).map(event => this.renderRecentEvent(event)).join('')}
+                        <a href="#/trip/${trip.id}" class="btn-link">Trip summary →</a>
+                    </details>
+                `;
+            }).join('');
+            return;
         }
 
-        // Render chart
-        const chartId = this.getTrophyChartId(trophyType);
-        const canvas = document.getElementById(chartId);
-        if (canvas) {
-            this.createTrophyChart(chartId, winnerCounts, trophyType);
-        }
+        container.innerHTML = ChampionshipStats.byDate(this.filteredEvents()).slice(0, 5)
+            .map(event => this.renderRecentEvent(event))
+            .join('');
     }
 
-    getTrophyTotalId(trophy) {
-        const idMap = {
-            'Petty Cup': 'pettyCupTotal',
-            'COW/UCOW': 'cowUcowTotal',
-            'Paultz': 'paultzTotal',
-            'TAMC': 'tamcTotal',
-            'COW': 'cowTotal',
-            'SUC': 'sucTotal',
-            'UCOW': 'ucowTotal',
-            'Brycehurst': 'brycehurstTotal'
-        };
-        return idMap[trophy];
+    renderRecentEvent(event) {
+        const winners = ChampionshipModel.winners(event);
+        const margin = ChampionshipModel.marginOfVictory(event);
+        const runnerUp = ChampionshipModel.runnerUp(event);
+        const escape = ChampionshipModel.escapeHtml;
+
+        return `
+            <div class="tournament-item">
+                <div class="tournament-date">${this.formatDate(event.startDate)}</div>
+                ${event.tournamentName ? `<div class="tournament-name">${escape(event.tournamentName)}</div>` : ''}
+                <div class="tournament-title">${escape(event.trophy)} Champion</div>
+                <div class="tournament-details">
+                    <strong>${escape(ChampionshipModel.winnerNames(event).join(' & '))}</strong> - ${escape(event.rounds.length ? this.formatRounds(event, winners[0]) : event.courses.join(', '))} (${this.formatScore(event, winners[0])})
+                    ${runnerUp.length ? `<br>Runner-up: ${escape(runnerUp.join(' & '))}${margin !== null ? ` (won by ${this.formatMargin(margin)})` : ''}` : ''}
+                    ${event.history ? `<br><em>${escape(event.history)}</em>` : ''}
+                </div>
+                ${this.renderRecordActions(event)}
+            </div>
+        `;
     }
 
-    getTrophyChartId(trophy) {
-        const idMap = {
-            'Petty Cup': 'pettyCupChart',
-            'COW/UCOW': 'cowUcowChart',
-            'Paultz': 'paultzChart',
-            'TAMC': 'tamcChart',
-            'COW': 'cowChart',
-            'SUC': 'sucChart',
-            'UCOW': 'ucowChart',
-            'Brycehurst': 'brycehurstChart'
-        };
-        return idMap[trophy];
+    formatTripDates(trip) {
+        return trip.endDate !== trip.startDate
+            ? `${this.formatDate(trip.startDate)} – ${this.formatDate(trip.endDate)}`
+            : this.formatDate(trip.startDate);
     }
 
-    createTrophyChart(chartId, winnerCounts, trophyType) {
-        const ctx = document.getElementById(chartId);
-        if (!ctx) return;
+    // Trips are grouped from every event so a trip's id does not change
+    // with the filters
+    renderTripPage(id) {
+        const container = document.getElementById('detailView');
+        if (!container) return;
 
-        // Destroy existing chart
-        if (this.charts[chartId]) {
-            this.charts[chartId].destroy();
+        const back = '<a href="#/" class="btn-link">← Back to dashboard</a>';
+        const trip = ChampionshipTrips.group(this.events).find(t => t.id === id);
+        if (!trip) {
+            container.innerHTML = `<div class="card profile-header">${back}<h2>Trip not found</h2><p class="profile-empty">No trip is recorded as "${ChampionshipModel.escapeHtml(id)}".</p></div>`;
+            return;
         }
 
-        const sortedWinners = Object.entries(winnerCounts)
-            .sort(([,a], [,b]) => b - a);
+        const standings = ChampionshipTrips.standings(trip);
+        const mvp = ChampionshipTrips.mvp(trip);
+        const champions = event => ChampionshipModel.winners(event)
+            .map(result => ChampionshipModel.playersOf(result).map(player => this.playerLink(player)).join(' & '))
+            .join(' & ') || '-';
+
+        container.innerHTML = `
+            <div class="card profile-header">
+                ${back}
+                <h2>🧳 ${ChampionshipModel.escapeHtml(trip.name)}</h2>
+                <p class="profile-empty" style="margin-bottom: 20px;">${this.formatTripDates(trip)}</p>
+                <div class="profile-stats">
+                    <div><strong>${trip.events.length}</strong>Tournaments</div>
+                    <div><strong>${trip.trophies.length}</strong>Trophies</div>
+                    <div><strong>${trip.courses.length}</strong>Courses</div>
+                    <div><strong>${mvp.map(entry => this.playerLink(entry.player)).join(' & ') || '-'}</strong>Trip MVP${mvp.length > 1 ? 's' : ''}</div>
+                </div>
+            </div>
 
-        const colors = [
-            '#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0',
-            '#9966FF', '#FF9F40', '#FF6384', '#C9CBCF'
-        ];
+            <div class="card" style="margin-top: 30px;">
+                <div class="card-header">
+                    <div class="card-icon trophy-icon">🏆</div>
+                    <h3>Who Won What</h3>
+                </div>
+                <div class="records-table-wrapper">
+                    <table class="records-table">
+                        <thead><tr><th>Date</th><th>Trophy</th><th>Tournament</th><th>Champion</th><th>Score</th></tr></thead>
+                        <tbody>
+                            ${trip.events.map(event => `
+                                <tr>
+                                    <td>${this.formatDate(event.startDate)}</td>
+                                    <td><span class="trophy-tag" style="background: ${this.trophies.colorFor(event.trophy)}">${ChampionshipModel.escapeHtml(event.trophy)}</span></td>
+                                    <td>${this.recordLink(event, event.tournamentName)}</td>
+                                    <td>${champions(event)}</td>
+                                    <td>${this.formatScore(event, ChampionshipModel.winners(event)[0])}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
 
-        this.charts[chartId] = new Chart(ctx, {
-            type: 'doughnut',
-            data: {
-                labels: sortedWinners.map(([name]) => name),
-                datasets: [{
-                    data: sortedWinners.map(([, count]) => count),
-                    backgroundColor: colors.slice(0, sortedWinners.length),
-                    borderWidth: 2,
-                    borderColor: '#fff'
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        position: 'bottom',
-                        labels: {
-                            padding: 0"color:#005CC5">8,
-                            usePointStyle: true,
-                            font: {
-                                size: 10
-                            },
-                            generateLabels: function(chart) {
-                                const data = chart.data;
-                                if (data.labels.length && data.datasets.length) {
-                                    return data.labels.map((label, i) => {
-                                        const count = data.datasets[0].data[i];
-                                        return {
-                                            text: `${label} (${count})`,
-                                            fillStyle: data.datasets[0].backgroundColor[i],
-                                            strokeStyle: data.datasets[0].borderColor,
-                                            lineWidth: data.datasets[0].borderWidth,
-                                            pointStyle: 'circle',
-                                            hidden: false,
-                                            index: i
-                                        };
-                                    });
-                                }
-                                return [];
-                            }
-                        }
-                    },
-                    tooltip: {
-                        callbacks: {
-                            label: function(context) {
-                                const label = context.label || '';
-                                const value = context.parsed;
-                                const total = context.dataset.data.reduce((a, b) => a + b, 0);
-                                const percentage = ((value / total) * 100).toFixed(1);
-                                return `${label}: ${value} wins (${percentage}%)`;
-                            }
-                        }
-                    }
-                }
-            }
-        });
+            <div class="dashboard-grid" style="margin-top: 30px;">
+                <div class="card">
+                    <div class="card-header">
+                        <div class="card-icon stats-icon">⛳</div>
+                        <h3>Courses Played</h3>
+                    </div>
+                    ${trip.courses.length
+                        ? `<ul class="profile-list">${trip.courses.map(course => `<li>${this.courseLink(course)}</li>`).join('')}</ul>`
+                        : '<p class="profile-empty">No courses recorded</p>'}
+                </div>
+                <div class="card">
+                    <div class="card-header">
+                        <div class="card-icon trophy-icon">⭐</div>
+                        <h3>Trip MVP</h3>
+                    </div>
+                    <p class="card-note">Most titles on the trip, then the most won alone; a team title counts for each teammate.</p>
+                    <ul class="profile-list">
+                        ${standings.map(entry => `
+                            <li>${this.playerLink(entry.player)} · ${entry.titles} title${entry.titles === 1 ? '' : 's'}${entry.solo !== entry.titles ? ` (${entry.solo} alone)` : ''} · ${ChampionshipModel.escapeHtml(entry.trophies.join(', '))}</li>
+                        `).join('')}
+                    </ul>
+                </div>
+            </div>
+        `;
     }
 
-    formatDate(dateString) {
-        const date = new Date(dateString);
-        return date.toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-        });
+    renderRecordActions(event) {
+        return `
+            <div class="tournament-actions">
+                <button type="button" class="btn-link" onclick="editTournament('${event.id}')">✏️ Edit</button>
+                <button type="button" class="btn-link danger" onclick="deleteTournament('${event.id}')">🗑️ Delete</button>
+            </div>
+        `;
     }
 
-    setupServiceWorker() {
-        if ('serviceWorker' in navigator) {
-            navigator.serviceWorker.register('./service-worker.js')
-                .then(registration => {
-                    console.log('Service Worker registered:', registration);
-                })
-                .catch(error => {
-                    console.log('Service Worker registration failed:', error);
-                });
+    // Ratings cover every tournament; with filters active they are worked
+    // out again from just the matching ones
+    renderRatings() {
+        const tbody = document.getElementById('ratingsTableBody');
+        if (!tbody) return;
+
+        const filtered = this.filterBar && ChampionshipFilter.isActive(this.filterBar.filter);
+        const table = Ratings.table(filtered ? Ratings.compute(this.filteredEvents()) : this.ratings);
+        if (table.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5">No ratings yet</td></tr>';
+            return;
         }
-    }
 
-    handleError(error) {
-        console.error('Dashboard error:', error);
-        
-        // Show user-friendly error message
-        const errorContainer = document.createElement('div');
-        errorContainer.className = 'error-message';
-        errorContainer.innerHTML = `
-            <div class="error-content">
-                <h3>⚠️ Unable to Load Dashboard</h3>
-                <p>There was a problem loading the championship data. Please check your internet connection and try refreshing the page.</p>
-                <button onclick="location.reload()" class="btn btn-primary">Refresh Page</button>
-            </div>
-        `;
-        
-        document.body.appendChild(errorContainer);
+        tbody.innerHTML = table.map((row, index) => {
+            const change = Math.round(row.change);
+            return `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td>${this.playerLink(row.player)}</td>
+                    <td><strong>${Math.round(row.rating)}</strong></td>
+                    <td class="rating-change ${change > 0 ? 'up' : change < 0 ? 'down' : ''}">${change > 0 ? `+${change}` : change}${row.lastDate ? ` · ${this.formatDate(row.lastDate)}` : ''}</td>
+                    <td>${row.events}</td>
+                </tr>
+            `;
+        }).join('');
     }
 
-    // Modal functions
-    openAddTournamentModal() {
-        const modal = document.getElementById('addTournamentModal');
-        if (modal) {
-            modal.style.display = 'block';
-            // Set today's date as default
-            const today = new Date().toISOString().split('T')[0];
-            document.getElementById('tournamentDate').value = today;
+    // Every player with an index, lowest first, and the rounds logged by hand
+    renderHandicaps() {
+        const tbody = document.getElementById('handicapTableBody');
+        if (tbody) {
+            const handicaps = Object.values(this.handicaps).sort((a, b) => a.current - b.current);
+            tbody.innerHTML = handicaps.length
+                ? handicaps.map(handicap => `
+                    <tr>
+                        <td>${this.playerLink(handicap.player)}</td>
+                        <td><strong>${Handicap.format(handicap.current)}</strong></td>
+                        <td>${this.renderSparkline(handicap.history.slice(-Handicap.WINDOW).map(entry => entry.value)) || '-'}</td>
+                        <td>${handicap.rated}</td>
+                    </tr>
+                `).join('')
+                : '<tr><td colspan="4">No indexes yet: log at least 3 rounds with a course rating and slope</td></tr>';
         }
+
+        const list = document.getElementById('loggedRounds');
+        if (!list) return;
+
+        const rounds = [...this.loggedRounds].sort((a, b) => new Date(b.date) - new Date(a.date)).slice(0, 10);
+        const escape = ChampionshipModel.escapeHtml;
+        list.innerHTML = rounds.map(round => `
+            <li>
+                <div>
+                    <span class="change-summary">${escape(round.player)} · ${round.score} at ${escape(round.course)} (${round.rating}/${round.slope})</span>
+                    <span class="change-time">${this.formatDate(round.date)} · differential ${Scoring.differential(round.score, round.rating, round.slope).toFixed(1)}</span>
+                </div>
+                <button type="button" class="btn-link" onclick="deleteRound(${round.id})">Delete</button>
+            </li>
+        `).join('');
+    }
+
+    openRoundModal() {
+        const modal = document.getElementById('roundModal');
+        if (!modal) return;
+
+        // Suggest known players and courses
+        const options = names => names.map(name => `<option value="${ChampionshipModel.escapeHtml(name)}">`).join('');
+        document.getElementById('roundPlayers').innerHTML = options(ChampionshipStats.players(this.events));
+        document.getElementById('roundCourses').innerHTML = options(this.courses.names());
+
+        document.getElementById('roundPlayedOn').value = new Date().toISOString().split('T')[0];
+        modal.style.display = 'block';
+    }
+
+    closeRoundModal() {
+        const modal = document.getElementById('roundModal');
+        if (modal) {
+            modal.style.display = 'none';
+            const form = document.getElementById('roundForm');
+            if (form) form.reset();
+        }
+    }
+
+    // Rating and slope from the course registry when it knows them
+    fillRoundCourseDetails() {
+        const course = this.courses.get(document.getElementById('roundCourseName').value);
+        const rating = document.getElementById('roundRating');
+        const slope = document.getElementById('roundSlope');
+        if (course.rating && !rating.value) rating.value = course.rating;
+        if (course.slope && !slope.value) slope.value = course.slope;
+    }
+
+    async handleRoundSubmit(event) {
+        event.preventDefault();
+
+        const formData = new FormData(event.target);
+        const round = Handicap.normalizeRound({
+            player: formData.get('player'),
+            date: formData.get('date'),
+            course: this.courses.resolve(formData.get('course')),
+            score: formData.get('score'),
+            rating: formData.get('rating'),
+            slope: formData.get('slope')
+        });
+
+        try {
+            this.loggedRounds.push(await this.store.saveRound(round));
+        } catch (error) {
+            console.error('Failed to save round:', error);
+            this.showNotification('Could not save the round on this device');
+            return;
+        }
+
+        this.closeRoundModal();
+        this.renderDashboard();
+        const handicap = this.handicaps[round.player];
+        this.showNotification(handicap ? `Round logged · ${round.player} is now ${Handicap.format(handicap.current)}` : 'Round logged');
+    }
+
+    async deleteRound(id) {
+        const round = this.loggedRounds.find(entry => entry.id === id);
+        if (!round || !confirm(`Delete ${round.player}'s ${round.score} at ${round.course}?`)) return;
+
+        try {
+            await this.store.deleteRound(id);
+        } catch (error) {
+            console.error('Failed to delete round:', error);
+            return;
+        }
+        this.loggedRounds = this.loggedRounds.filter(entry => entry.id !== id);
+        this.renderDashboard();
+    }
+
+    // Top individual winning rounds against par, with WHS differentials
+    // where the course rating and slope are known
+    renderBestRounds() {
+        const tbody = document.getElementById('bestRoundsBody');
+        if (!tbody) return;
+
+        const rounds = Scoring.bestWinningRounds(this.filteredEvents(), this.courses).slice(0, 10);
+        if (rounds.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="8">No winning rounds with a known par</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = rounds.map((round, index) => `
+            <tr>
+                <td>${index + 1}</td>
+                <td>${this.playerLink(round.player)}</td>
+                <td>${this.formatDate(round.event.startDate)}</td>
+                <td>${ChampionshipModel.escapeHtml(round.event.trophy)}</td>
+                <td>${this.courseLink(round.course)}${round.event.rounds.length ? ` (R${round.number})` : ''}</td>
+                <td>${round.score}</td>
+                <td class="to-par">${Scoring.formatToPar(round.toPar)}</td>
+                <td>${round.differential === null ? '-' : round.differential.toFixed(1)}</td>
+            </tr>
+        `).join('');
+    }
+
+    // Streaks, droughts and other records, each linking to the tournaments
+    // behind it
+    renderRecordBook() {
+        const container = document.getElementById('recordBook');
+        if (!container) return;
+
+        const book = ChampionshipStats.recordBook(this.filteredEvents());
+        const year = event => event.startDate.slice(0, 4);
+        const short = event => new Date(event.startDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        const years = days => `${(days / 365.25).toFixed(1)} years`;
+        const escape = ChampionshipModel.escapeHtml;
+        const section = (title, entries) => `
+            <div class="record-section">
+                <h4>${title}</h4>
+                ${entries.length ? `<ol>${entries.map(entry => `<li>${entry}</li>`).join('')}</ol>` : '<p class="profile-empty">Nothing yet</p>'}
+            </div>
+        `;
+
+        container.innerHTML = [
+            section('🔥 Consecutive Titles', book.consecutiveTitles.map(run => {
+                // Yearly trophies read best by year, the rest by date
+                const yearly = new Set(run.events.map(year)).size === run.events.length;
+                return `
+                    ${this.playerLink(run.player)}: ${run.count} straight ${escape(run.trophy)}
+                    (${run.events.map(event => this.recordLink(event, yearly ? year(event) : `${short(event)} ${year(event)}`)).join(', ')})
+                `;
+            })),
+            section('⏳ Longest Gap Between Titles', book.longestGaps.map(gap => `
+                ${this.playerLink(gap.player)}: ${years(gap.days)}
+                (${this.recordLink(gap.events[0], `${year(gap.events[0])} ${gap.events[0].trophy}`)} → ${this.recordLink(gap.events[1], `${year(gap.events[1])} ${gap.events[1].trophy}`)})
+            `)),
+            section('📜 Oldest & Most Recent Titles', this.trophies.sort(book.firstAndLatest.map(entry => entry.trophy))
+                .map(trophy => book.firstAndLatest.find(entry => entry.trophy === trophy))
+                .map(entry => `
+                    ${escape(entry.trophy)}: first ${this.recordLink(entry.first, `${year(entry.first)} (${ChampionshipModel.winnerNames(entry.first).join(' & ')})`)}${entry.latest !== entry.first
+                        ? `, latest ${this.recordLink(entry.latest, `${year(entry.latest)} (${ChampionshipModel.winnerNames(entry.latest).join(' & ')})`)}`
+                        : ''}
+                `)),
+            section('🎯 Lowest Winning Score', this.trophies.sort(book.lowestScores.map(entry => entry.trophy))
+                .map(trophy => book.lowestScores.find(entry => entry.trophy === trophy))
+                .map(entry => `
+                    ${escape(entry.trophy)}: ${this.recordLink(entry.events[0], `${entry.score}${entry.rounds > 1 ? ` over ${entry.rounds} rounds (${entry.perRound.toFixed(1)}/round)` : ''}`)}
+                    by ${escape(entry.winners.join(' & '))}, ${year(entry.events[0])}
+                `)),
+            section('📅 Most Titles in a Year', book.mostTitlesInYear.map(entry => `
+                ${this.playerLink(entry.player)}: ${entry.count} in ${entry.year}
+                (${entry.events.map(event => this.recordLink(event, `${event.trophy} ${short(event)}`)).join(', ')})
+            `)),
+            section('🌱 First-Time Winners', book.firstTimeWinners.map(season => `
+                ${season.year}: ${season.winners.map(({ player, event }) => `${this.playerLink(player)} (${this.recordLink(event, `${event.trophy} ${short(event)}`)})`).join(', ')}
+            `))
+        ].join('');
+    }
+
+    // One tournament's full record, the target of record book links
+    renderRecordPage(id) {
+        const container = document.getElementById('detailView');
+        if (!container) return;
+
+        const back = '<a href="#/" class="btn-link">← Back to dashboard</a>';
+        const event = this.events.find(e => e.id === id);
+        if (!event) {
+            container.innerHTML = `<div class="card profile-header">${back}<h2>Tournament not found</h2><p class="profile-empty">No tournament is recorded as "${ChampionshipModel.escapeHtml(id)}".</p></div>`;
+            return;
+        }
+
+        const winner = ChampionshipModel.winners(event)[0];
+        const info = this.trophies.get(event.trophy);
+        const trip = ChampionshipTrips.tripOf(ChampionshipTrips.group(this.events), event);
+        const issues = this.issues.filter(issue => issue.events.includes(event.id));
+        const dates = event.endDate && event.endDate !== event.startDate
+            ? `${this.formatDate(event.startDate)} – ${this.formatDate(event.endDate)}`
+            : this.formatDate(event.startDate);
+        const escape = ChampionshipModel.escapeHtml;
+
+        container.innerHTML = `
+            <div class="card profile-header">
+                ${back}
+                <h2>${info.icon} ${escape(event.tournamentName)}</h2>
+                <p class="profile-empty" style="margin-bottom: 20px;">
+                    <span class="trophy-tag" style="background: ${this.trophies.colorFor(event.trophy)}">${escape(event.trophy)}</span>
+                    ${dates} · ${event.courses.map(course => this.courseLink(course)).join(', ') || 'Course not recorded'}
+                    ${trip && trip.events.length > 1 ? ` · part of ${this.tripLink(trip)}` : ''}
+                </p>
+                <div class="profile-stats">
+                    <div><strong>${ChampionshipModel.winners(event).map(result => ChampionshipModel.playersOf(result).map(player => this.playerLink(player)).join(' & ')).join(' & ') || '-'}</strong>Champion</div>
+                    <div><strong>${this.formatScore(event, winner)}</strong>Winning Score</div>
+                    <div><strong>${ChampionshipModel.roundCount(event)}</strong>Rounds</div>
+                    <div><strong>${event.scoring === 'net' ? 'Net' : 'Gross'}</strong>Scoring</div>
+                </div>
+                ${event.history ? `<p style="margin-top: 20px;">${escape(event.history)}</p>` : ''}
+                ${issues.length ? `<ul class="record-issues">${issues.map(issue => `<li><span class="issue-level ${issue.level}">${issue.level === 'error' ? 'Error' : 'Warning'}</span> ${escape(issue.message)}</li>`).join('')}</ul>` : ''}
+                <div style="margin-top: 20px;">${this.renderRecordActions(event)}</div>
+            </div>
+
+            <div class="card" style="margin-top: 30px;">
+                <div class="card-header">
+                    <div class="card-icon recent-icon">📋</div>
+                    <h3>Results</h3>
+                </div>
+                <div class="records-table-wrapper">
+                    <table class="records-table">
+                        <thead><tr><th>Pos</th><th>Entrant</th><th>Score</th>${event.rounds.length ? event.rounds.map(round => `<th>R${round.number}</th>`).join('') : ''}</tr></thead>
+                        <tbody>
+                            ${event.results.map(result => `
+                                <tr>
+                                    <td>${result.position === null ? '-' : `${result.tied ? 'T' : ''}${result.position}`}</td>
+                                    <td>${ChampionshipModel.isTeam(result)
+                                        ? `${result.team ? `${escape(result.team)}: ` : ''}${result.roster.map(player => this.playerLink(player)).join(', ')}`
+                                        : this.playerLink(result.player)}</td>
+                                    <td>${result.score === null ? '-' : `${result.score}${this.formatToPar(event, result)}`}</td>
+                                    ${event.rounds.map((round, i) => `<td>${result.roundScores && result.roundScores[i] !== null ? result.roundScores[i] : '-'}</td>`).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    // Every event, newest first, with edit and delete actions
+    renderRecordsTable() {
+        const tbody = document.getElementById('recordsTableBody');
+        if (!tbody) return;
+
+        const events = ChampionshipStats.byDate(this.filteredEvents());
+        if (events.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7">No records</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = events.map(event => {
+            const winners = ChampionshipModel.winners(event);
+            return `
+                <tr>
+                    <td>${this.formatDate(event.startDate)}</td>
+                    <td>${ChampionshipModel.escapeHtml(event.trophy)}</td>
+                    <td>${this.recordLink(event, event.tournamentName)}</td>
+                    <td>${ChampionshipModel.escapeHtml(ChampionshipModel.winnerNames(event).join(' & '))}</td>
+                    <td>${event.courses.map(course => this.courseLink(course)).join(', ')}</td>
+                    <td>${winners.length && winners[0].score !== null ? `${winners[0].score}${this.formatToPar(event, winners[0])}` : '-'}</td>
+                    <td>${this.renderRecordActions(event)}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    // Profile built from the filtered events, so the filter bar applies here too
+    renderPlayerProfile(slug) {
+        const container = document.getElementById('detailView');
+        if (!container) return;
+
+        const events = this.filteredEvents();
+        const name = ChampionshipStats.playerBySlug(this.events, slug);
+        const back = '<a href="#/" class="btn-link">← Back to dashboard</a>';
+        if (!name) {
+            container.innerHTML = `<div class="card profile-header">${back}<h2>Player not found</h2><p class="profile-empty">No results are recorded for "${ChampionshipModel.escapeHtml(slug)}".</p></div>`;
+            return;
+        }
+
+        const profile = ChampionshipStats.playerProfile(events, name);
+        const trophies = this.trophies.sort(Object.keys(profile.titlesByTrophy));
+        const mostTitles = Math.max(1, ...Object.values(profile.titlesByTrophy));
+        const courses = Object.entries(profile.courses).sort(([, a], [, b]) => b - a);
+        const days = drought => (drought.days >= 365 ? `${(drought.days / 365).toFixed(1)} years` : `${drought.days} days`);
+        const escape = ChampionshipModel.escapeHtml;
+        const empty = text => `<p class="profile-empty">${text}</p>`;
+
+        container.innerHTML = `
+            <div class="card profile-header">
+                ${back}
+                <h2>👤 ${escape(name)}</h2>
+                <div class="profile-stats">
+                    <div><strong>${profile.titles}</strong>Titles</div>
+                    <div><strong>${profile.played}</strong>Events Recorded</div>
+                    <div><strong>${trophies.length}</strong>Trophies Won</div>
+                    <div><strong>${profile.currentDrought ? days(profile.currentDrought) : '-'}</strong>Since Last Title</div>
+                </div>
+            </div>
+
+            <div class="dashboard-grid" style="margin-top: 30px;">
+                <div class="card">
+                    <div class="card-header">
+                        <div class="card-icon trophy-icon">🏆</div>
+                        <h3>Titles by Trophy</h3>
+                    </div>
+                    ${trophies.length ? `<ul class="profile-list">
+                        ${trophies.map(trophy => `
+                            <li>
+                                <span>${this.trophies.get(trophy).icon} ${escape(trophy)}</span>
+                                <span class="profile-bar"><span style="width: ${profile.titlesByTrophy[trophy] / mostTitles * 100}%; background: ${this.trophies.colorFor(trophy)}"></span></span>
+                                <strong>${profile.titlesByTrophy[trophy]}</strong>
+                            </li>
+                        `).join('')}
+                    </ul>` : empty('No titles yet')}
+                </div>
+
+                <div class="card">
+                    <div class="card-header">
+                        <div class="card-icon stats-icon">⛳</div>
+                        <h3>Courses Won At</h3>
+                    </div>
+                    ${courses.length ? `<ul class="profile-list">
+                        ${courses.map(([course, count]) => `<li><span>${this.courseLink(course)}</span><strong>${count}</strong></li>`).join('')}
+                    </ul>` : empty('No titles yet')}
+                </div>
+
+                <div class="card">
+                    <div class="card-header">
+                        <div class="card-icon chart-icon">📊</div>
+                        <h3>Scoring by Format</h3>
+                    </div>
+                    ${profile.scoresByFormat.length ? `<table class="records-table">
+                        <thead><tr><th>Format</th><th>Events</th><th>Best</th><th>Average</th></tr></thead>
+                        <tbody>
+                            ${profile.scoresByFormat.map(entry => `
+                                <tr>
+                                    <td>${entry.format}</td>
+                                    <td>${entry.events}</td>
+                                    <td>${Number.isInteger(entry.best) ? entry.best : entry.best.toFixed(1)}</td>
+                                    <td>${entry.average.toFixed(1)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>` : empty('No scores recorded')}
+                </div>
+
+                <div class="card">
+                    <div class="card-header">
+                        <div class="card-icon recent-icon">⏳</div>
+                        <h3>Droughts &amp; Streaks</h3>
+                    </div>
+                    <ul class="profile-list">
+                        <li><span>Longest title drought</span><strong>${profile.longestDrought
+                            ? `${days(profile.longestDrought)} (${this.formatDate(profile.longestDrought.from)} – ${this.formatDate(profile.longestDrought.to)})`
+                            : '-'}</strong></li>
+                        <li><span>Current drought</span><strong>${profile.currentDrought ? `${days(profile.currentDrought)} since ${this.formatDate(profile.currentDrought.since)}` : '-'}</strong></li>
+                        ${profile.streaks.map(streak => `
+                            <li><span>${escape(streak.trophy)} streak</span><strong>${streak.current} current · ${streak.longest} best</strong></li>
+                        `).join('')}
+                    </ul>
+                </div>
+
+                <div class="card">
+                    <div class="card-header">
+                        <div class="card-icon trophy-icon">⚔️</div>
+                        <h3>Rivals Beaten</h3>
+                    </div>
+                    ${profile.rivalsBeaten.length ? `<ul class="profile-list">
+                        ${profile.rivalsBeaten.map(rival => `
+                            <li><span>${this.playerLink(rival.name)}</span><strong>${rival.wins}–${rival.losses}${rival.ties ? `–${rival.ties}` : ''}</strong></li>
+                        `).join('')}
+                    </ul>` : empty('No finishes recorded against other players yet')}
+                </div>
+            </div>
+
+            <div class="card" style="margin-top: 30px;">
+                <div class="card-header">
+                    <div class="card-icon chart-icon">📅</div>
+                    <h3>Win Timeline</h3>
+                </div>
+                ${profile.wins.length ? `<ol class="profile-timeline">
+                    ${profile.wins.map(win => `
+                        <li>
+                            <span class="profile-date">${this.formatDate(win.date)}</span>
+                            <span class="trophy-tag" style="background: ${this.trophies.colorFor(win.trophy)}">${escape(win.trophy)}</span>
+                            ${escape(win.event.tournamentName)}${win.team ? ` (team: ${escape(win.team)})` : ''}${win.score !== null ? ` · ${this.formatScore(win.event, ChampionshipModel.winners(win.event)[0])}` : ''}
+                        </li>
+                    `).join('')}
+                </ol>` : empty('No titles yet')}
+            </div>
+        `;
+    }
+
+    // Course page: details from the registry, champions there, who owns it
+    // and how low the winning rounds go. Uses the filtered events.
+    renderCoursePage(slug) {
+        const container = document.getElementById('detailView');
+        if (!container) return;
+
+        const back = '<a href="#/" class="btn-link">← Back to dashboard</a>';
+        const name = [...new Set(this.events.flatMap(event => event.courses))]
+            .find(course => ChampionshipModel.slugify(course) === slug);
+        const info = name ? this.courses.get(name) : this.courses.bySlug(slug);
+        if (!info) {
+            container.innerHTML = `<div class="card profile-header">${back}<h2>Course not found</h2><p class="profile-empty">No tournaments are recorded at "${ChampionshipModel.escapeHtml(slug)}".</p></div>`;
+            return;
+        }
+
+        const report = ChampionshipStats.courseReport(this.filteredEvents(), info.name);
+        const escape = ChampionshipModel.escapeHtml;
+        const empty = text => `<p class="profile-empty">${text}</p>`;
+        const details = [
+            info.location,
+            info.par ? `Par ${info.par}` : '',
+            info.rating && info.slope ? `Rating ${info.rating} / Slope ${info.slope}` : ''
+        ].filter(Boolean).join(' · ');
+
+        container.innerHTML = `
+            <div class="card profile-header">
+                ${back}
+                <h2>⛳ ${escape(info.name)}</h2>
+                ${details ? `<p class="profile-empty" style="margin-bottom: 20px;">${escape(details)}</p>` : ''}
+                <div class="profile-stats">
+                    <div><strong>${report.events.length}</strong>Tournaments</div>
+                    <div><strong>${report.winners.length}</strong>Champions</div>
+                    <div><strong>${report.best !== null ? Math.round(report.best * 10) / 10 : '-'}</strong>Best Winning Round</div>
+                    <div><strong>${report.average !== null ? report.average.toFixed(1) : '-'}</strong>Avg Winning Round</div>
+                </div>
+            </div>
+
+            <div class="dashboard-grid" style="margin-top: 30px;">
+                <div class="card">
+                    <div class="card-header">
+                        <div class="card-icon trophy-icon">👑</div>
+                        <h3>Champions Here</h3>
+                    </div>
+                    ${report.owners.length ? `<p class="profile-empty" style="margin-bottom: 10px;">Owned by ${report.owners.map(owner => this.playerLink(owner)).join(' & ')}</p>` : ''}
+                    ${report.winners.length ? `<ul class="profile-list">
+                        ${report.winners.map(winner => `<li><span>${this.playerLink(winner.name)}</span><strong>${winner.titles}</strong></li>`).join('')}
+                    </ul>` : empty('No titles won here')}
+                </div>
+
+                <div class="card">
+                    <div class="card-header">
+                        <div class="card-icon chart-icon">📊</div>
+                        <h3>Winning Round Scores</h3>
+                    </div>
+                    ${report.distribution.length ? `<div class="chart-container">
+                        <canvas id="courseDistributionChart"></canvas>
+                    </div>` : empty('No winning scores recorded here')}
+                </div>
+            </div>
+
+            <div class="card" style="margin-top: 30px;">
+                <div class="card-header">
+                    <div class="card-icon recent-icon">📅</div>
+                    <h3>Tournaments Played Here</h3>
+                </div>
+                ${report.events.length ? `<ol class="profile-timeline">
+                    ${report.events.map(event => `
+                        <li>
+                            <span class="profile-date">${this.formatDate(event.startDate)}</span>
+                            <span class="trophy-tag" style="background: ${this.trophies.colorFor(event.trophy)}">${escape(event.trophy)}</span>
+                            ${escape(event.tournamentName)} · ${escape(ChampionshipModel.winnerNames(event).join(' & '))} (${this.formatScore(event, ChampionshipModel.winners(event)[0])})
+                        </li>
+                    `).join('')}
+                </ol>` : empty('No tournaments match the filters')}
+            </div>
+        `;
+
+        this.renderCourseDistributionChart(report.distribution);
+    }
+
+    renderCourseDistributionChart(distribution) {
+        if (this.charts.courseDistributionChart) {
+            this.charts.courseDistributionChart.destroy();
+            delete this.charts.courseDistributionChart;
+        }
+
+        const ctx = document.getElementById('courseDistributionChart');
+        if (!ctx) return;
+
+        this.charts.courseDistributionChart = ChartView.create(ctx, {
+            type: 'bar',
+            data: {
+                labels: distribution.map(bucket => bucket.label),
+                datasets: [
+                    { label: 'Individual', data: distribution.map(bucket => bucket.Individual), backgroundColor: '#2196F3' },
+                    { label: 'Team', data: distribution.map(bucket => bucket.Team), backgroundColor: '#FF9800' }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: { stacked: true, title: { display: true, text: 'Strokes per round' } },
+                    y: { stacked: true, beginAtZero: true, ticks: { stepSize: 1 } }
+                }
+            }
+        });
+    }
+
+    describeChange(entry) {
+        const event = entry.after || entry.before;
+        const label = event ? `${event.startDate.slice(0, 4)} ${event.trophy}` : entry.eventId;
+
+        switch (entry.type) {
+            case 'create': return `Added ${label}`;
+            case 'update': return `Edited ${label}`;
+            case 'delete': return `Deleted ${label}`;
+            default: return `Reverted change #${entry.revertsSeq} (${label})`;
+        }
+    }
+
+    // Validator issues, errors first, each linking to the records involved
+    renderDataCheck() {
+        const list = document.getElementById('dataCheck');
+        if (!list) return;
+
+        const errors = ChampionshipValidator.errors(this.issues);
+        const warnings = ChampionshipValidator.warnings(this.issues);
+        this.updateElement('dataCheckSummary', this.issues.length
+            ? `${errors.length} error${errors.length === 1 ? '' : 's'} · ${warnings.length} warning${warnings.length === 1 ? '' : 's'} in ${ChampionshipValidator.flagged(this.issues).length} of ${this.events.length} tournaments`
+            : `All ${this.events.length} tournaments pass`);
+
+        if (!this.issues.length) {
+            list.innerHTML = '<li>No problems found</li>';
+            return;
+        }
+
+        const byId = new Map(this.events.map(event => [event.id, event]));
+        list.innerHTML = [...errors, ...warnings].map(issue => `
+            <li>
+                <div>
+                    <span class="issue-level ${issue.level}">${issue.level === 'error' ? 'Error' : 'Warning'}</span>
+                    <span class="change-summary">${ChampionshipModel.escapeHtml(issue.message)}</span>
+                    <span class="change-time">${issue.events.map(id => byId.get(id)).filter(Boolean).map(event => this.recordLink(event, `${event.trophy} ${event.startDate.slice(0, 4)}`)).join(', ')}</span>
+                </div>
+            </li>
+        `).join('');
+    }
+
+    // The append-only change log, newest first; any change can be reverted
+    renderChangeHistory() {
+        const list = document.getElementById('changeHistory');
+        if (!list) return;
+
+        const undoButton = document.getElementById('undoButton');
+        if (undoButton) undoButton.disabled = !TournamentStore.lastUndoableChange(this.changeLog);
+
+        if (this.changeLog.length === 0) {
+            list.innerHTML = '<li>No changes yet</li>';
+            return;
+        }
+
+        const reverted = new Set(this.changeLog.map(entry => entry.revertsSeq));
+        list.innerHTML = [...this.changeLog].reverse().map(entry => `
+            <li class="${reverted.has(entry.seq) ? 'reverted' : ''}">
+                <div>
+                    <span class="change-summary">#${entry.seq} ${ChampionshipModel.escapeHtml(this.describeChange(entry))}</span>
+                    <span class="change-time">${new Date(entry.createdAt).toLocaleString()}</span>
+                </div>
+                <button type="button" class="btn-link" onclick="revertChange(${entry.seq})">Revert</button>
+            </li>
+        `).join('');
+    }
+
+    // One card per trophy that has been played, with a winners doughnut.
+    // Icons, colors and retired status come from the trophy registry.
+    renderTrophyCards() {
+        const container = document.getElementById('trophyCardsContainer');
+        if (!container) return;
+
+        const stats = ChampionshipStats.trophyWinners(this.filteredEvents());
+        const order = this.trophies.sort(stats.map(entry => entry.trophy));
+        const trophies = order.map(trophy => stats.find(entry => entry.trophy === trophy));
+
+        container.innerHTML = trophies.map(({ trophy, events }) => {
+            const info = this.trophies.get(trophy);
+            const retired = info.status !== 'active';
+            const successors = this.trophies.successorsOf(trophy);
+            return `
+                <div class="trophy-card${retired ? ' retired' : ''}" style="border-left-color: ${info.color};">
+                    <h3>${info.icon} ${ChampionshipModel.escapeHtml(trophy)} Winners</h3>
+                    <div class="trophy-stats">
+                        <div class="trophy-total">${events}</div>
+                        <div class="trophy-subtitle">${info.subtitle}</div>
+                        ${retired ? `<span class="trophy-status">Retired${successors.length ? ` · became ${ChampionshipModel.escapeHtml(successors.join(' & '))}` : ''}</span>` : ''}
+                    </div>
+                    <div class="chart-container small-chart">
+                        <canvas id="${this.getTrophyChartId(trophy)}"></canvas>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        trophies.forEach(({ trophy, winners }) => {
+            this.createTrophyChart(this.getTrophyChartId(trophy), winners);
+        });
+    }
+
+    getTrophyChartId(trophy) {
+        return `trophy-chart-${this.trophies.get(trophy).id}`;
+    }
+
+    // Active trophies first; retired ones stay selectable for editing old records
+    renderTrophyOptions() {
+        const select = document.getElementById('trophyType');
+        if (!select) return;
+
+        const options = entries => entries
+            .map(entry => `<option value="${entry.name}">${entry.icon} ${entry.name}</option>`)
+            .join('');
+        const retired = this.trophies.retired();
+
+        select.innerHTML = `
+            <option value="">Select Trophy</option>
+            ${options(this.trophies.active())}
+            ${retired.length ? `<optgroup label="Retired">${options(retired)}</optgroup>` : ''}
+        `;
+    }
+
+    createTrophyChart(chartId, winners) {
+        const ctx = document.getElementById(chartId);
+        if (!ctx) return;
+
+        // Destroy existing chart
+        if (this.charts[chartId]) {
+            this.charts[chartId].destroy();
+        }
+
+        const colors = [
+            '#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0',
+            '#9966FF', '#FF9F40', '#FF6384', '#C9CBCF'
+        ];
+
+        this.charts[chartId] = ChartView.create(ctx, {
+            type: 'doughnut',
+            data: {
+                labels: winners.map(winner => winner.name),
+                datasets: [{
+                    data: winners.map(winner => winner.titles),
+                    backgroundColor: colors.slice(0, winners.length),
+                    borderWidth: 2,
+                    borderColor: '#fff'
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'bottom',
+                        labels: {
+                            padding: 8,
+                            usePointStyle: true,
+                            font: {
+                                size: 10
+                            },
+                            generateLabels: function(chart) {
+                                const data = chart.data;
+                                if (data.labels.length && data.datasets.length) {
+                                    return data.labels.map((label, i) => {
+                                        const count = data.datasets[0].data[i];
+                                        return {
+                                            text: `${label} (${count})`,
+                                            fillStyle: data.datasets[0].backgroundColor[i],
+                                            strokeStyle: data.datasets[0].borderColor,
+                                            lineWidth: data.datasets[0].borderWidth,
+                                            pointStyle: 'circle',
+                                            hidden: false,
+                                            index: i
+                                        };
+                                    });
+                                }
+                                return [];
+                            }
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                const label = context.label || '';
+                                const value = context.parsed;
+                                const total = context.dataset.data.reduce((a, b) => a + b, 0);
+                                const percentage = ((value / total) * 100).toFixed(1);
+                                return `${label}: ${value} wins (${percentage}%)`;
+                            }
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    formatDate(dateString) {
+        const date = new Date(dateString);
+        return date.toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+    }
+
+    // A new worker waits after installing; the banner lets the user switch
+    // to it, and the page reloads once it has taken over
+    setupServiceWorker() {
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.register('./service-worker.js')
+                .then(registration => {
+                    console.log('Service Worker registered:', registration);
+                    this.watchForUpdates(registration);
+                })
+                .catch(error => {
+                    console.log('Service Worker registration failed:', error);
+                });
+
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'CHANGES_SYNCED') {
+                    this.showNotification(event.data.message);
+                }
+                if (event.data && event.data.type === 'DATA_UPDATED') {
+                    this.reloadUpdatedData(event.data.message);
+                }
+            });
+
+            // The first install also takes control; only reload when asked
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (this.updateRequested) window.location.reload();
+            });
+        }
+    }
+
+    watchForUpdates(registration) {
+        // Without a controller this is the first install, not an update
+        if (!navigator.serviceWorker.controller) return;
+
+        if (registration.waiting) {
+            this.showUpdateBanner(registration.waiting);
+            return;
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed') this.showUpdateBanner(worker);
+            });
+        });
+    }
+
+    // Browsers that can install the dashboard announce it with
+    // beforeinstallprompt; the event is kept for the header's Install button
+    setupInstallPrompt() {
+        // iOS has no display-mode media query in older versions
+        if (window.navigator.standalone) document.body.classList.add('standalone');
+
+        window.addEventListener('beforeinstallprompt', (event) => {
+            event.preventDefault();
+            this.installPrompt = event;
+            this.showInstallButton(true);
+        });
+
+        window.addEventListener('appinstalled', () => {
+            this.installPrompt = null;
+            this.showInstallButton(false);
+            this.showNotification('Installed! Open BFF Golf from your home screen.');
+        });
+    }
+
+    showInstallButton(visible) {
+        const button = document.getElementById('installButton');
+        if (button) button.style.display = visible ? '' : 'none';
+    }
+
+    // The prompt can only be shown once; if it is dismissed the browser
+    // fires beforeinstallprompt again later
+    async installApp() {
+        const prompt = this.installPrompt;
+        if (!prompt) return;
+
+        this.installPrompt = null;
+        this.showInstallButton(false);
+        prompt.prompt();
+        await prompt.userChoice;
+    }
+
+    showUpdateBanner(worker) {
+        if (document.querySelector('.update-banner')) return;
+
+        const banner = document.createElement('div');
+        banner.className = 'update-banner';
+        banner.innerHTML = `
+            <span>A new version of the dashboard is available.</span>
+            <button type="button" class="btn btn-primary btn-small">Reload</button>
+            <button type="button" class="notification-close" aria-label="Dismiss">×</button>
+        `;
+        banner.querySelector('.btn').addEventListener('click', () => {
+            this.updateRequested = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        });
+        banner.querySelector('.notification-close').addEventListener('click', () => banner.remove());
+        document.body.appendChild(banner);
+    }
+
+    // Background sync refreshed the cached data
+    async reloadUpdatedData(message) {
+        const result = await this.revalidateData();
+        if (result && result.changed) this.showNotification(message);
+    }
+
+    handleError(error) {
+        console.error('Dashboard error:', error);
+
+        // Show user-friendly error message
+        const container = document.querySelector('.container');
+        if (!container) return;
+
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'error';
+        errorDiv.innerHTML = `
+            Failed to load championship data. Please check your connection and try again.
+            <button onclick="location.reload()" class="btn btn-primary">Refresh Page</button>
+        `;
+        container.insertBefore(errorDiv, container.firstChild);
+    }
+
+    // Modal functions
+    openAddTournamentModal() {
+        const modal = document.getElementById('addTournamentModal');
+        if (modal) {
+            modal.style.display = 'block';
+            this.setModalMode(null);
+            this.fillTripOptions();
+            // Set today's date as default
+            const today = new Date().toISOString().split('T')[0];
+            document.getElementById('tournamentDate').value = today;
+        }
+    }
+
+    // Suggest the names of earlier trips, newest first; a lone tournament
+    // only counts when its trip was named
+    fillTripOptions() {
+        const list = document.getElementById('tripNames');
+        if (!list) return;
+
+        const names = ChampionshipTrips.group(this.events).reverse()
+            .filter(trip => trip.events.length > 1 || trip.events.some(event => event.trip))
+            .map(trip => trip.name);
+        list.innerHTML = [...new Set(names)].map(name => `<option value="${ChampionshipModel.escapeHtml(name)}">`).join('');
+    }
+
+    // The add-tournament modal doubles as the edit form
+    editTournament(eventId) {
+        const event = this.events.find(e => e.id === eventId);
+        const modal = document.getElementById('addTournamentModal');
+        if (!event || !modal) return;
+
+        const values = ChampionshipModel.toFormValues(event);
+        document.getElementById('tournamentName').value = values.tournamentName;
+        document.getElementById('teamEvent').checked = values.teamEvent;
+        document.getElementById('playerName').value = values.champion;
+        document.getElementById('teamRoster').value = values.roster;
+        document.getElementById('tournamentDate').value = values.date;
+        document.getElementById('trophyType').value = values.trophy;
+        document.getElementById('courseName').value = values.course;
+        document.getElementById('coursePar').value = values.par;
+        document.getElementById('courseRating').value = values.rating;
+        document.getElementById('courseSlope').value = values.slope;
+        document.getElementById('score').value = values.score;
+        document.getElementById('scoringType').value = values.scoring;
+        document.getElementById('tripName').value = values.trip;
+        document.getElementById('fieldResults').value = values.field;
+        document.getElementById('history').value = values.history;
+        values.rounds.forEach(round => {
+            const row = this.addRoundRow();
+            row.querySelector('[name="roundDate"]').value = round.date;
+            row.querySelector('[name="roundCourse"]').value = round.course;
+            row.querySelector('[name="roundScore"]').value = round.score;
+        });
+        this.toggleTeamFields();
+        this.updateCourseDetailsHint();
+        this.fillTripOptions();
+
+        this.setModalMode(eventId);
+        modal.style.display = 'block';
+    }
+
+    setModalMode(eventId) {
+        this.editingEventId = eventId;
+        const title = document.getElementById('tournamentModalTitle');
+        const submit = document.getElementById('tournamentSubmit');
+        if (title) title.textContent = eventId ? 'Edit Tournament' : 'Add New Tournament';
+        if (submit) submit.textContent = eventId ? 'Save Changes' : 'Add Tournament';
+    }
+
+    async deleteTournament(eventId) {
+        const event = this.events.find(e => e.id === eventId);
+        if (!event) return;
+
+        const name = `${event.startDate.slice(0, 4)} ${event.trophy} (${ChampionshipModel.winnerNames(event).join(' & ')})`;
+        if (!confirm(`Delete ${name}? You can undo this from the change history.`)) return;
+
+        try {
+            await this.commitChange({ type: 'delete', eventId, before: event, after: null });
+            this.showNotification('Tournament deleted');
+        } catch (error) {
+            console.error('Failed to save change locally:', error);
+            this.showNotification('Could not save the deletion on this device; the tournament will be back when the page reloads.', 'error');
+        }
+    }
+
+    // Revert one logged change by restoring the event as it was before it
+    async revertChange(seq) {
+        const entry = this.changeLog.find(e => e.seq === seq);
+        if (!entry) return;
+
+        const current = this.events.find(e => e.id === entry.eventId) || null;
+        try {
+            await this.commitChange({ type: 'revert', eventId: entry.eventId, before: current, after: entry.before, revertsSeq: seq });
+            this.showNotification(`Reverted change #${seq}`);
+        } catch (error) {
+            console.error('Failed to save change locally:', error);
+            this.showNotification(`Could not save the revert of change #${seq} on this device; it will be undone when the page reloads.`, 'error');
+        }
+    }
+
+    undoLastChange() {
+        const entry = TournamentStore.lastUndoableChange(this.changeLog);
+        if (entry) return this.revertChange(entry.seq);
+    }
+
+    // Apply a change to the page, then log and queue it locally
+    async commitChange(change) {
+        await this.commitChanges([change]);
+    }
+
+    // Several changes at once (an import) log one entry each but sync and
+    // re-render only once. Rejects when the changes could not be saved
+    // locally; the page still shows them until it reloads.
+    async commitChanges(changes) {
+        changes.forEach(change => {
+            this.setEvents(ChampionshipModel.applyChange(this.events, change.eventId, change.after));
+            this.updateRatings(change);
+        });
+        this.validateData();
+
+        try {
+            for (const change of changes) {
+                this.changeLog.push(await this.store.recordChange(change));
+            }
+            this.syncPendingChanges();
+        } finally {
+            this.renderDashboard();
+        }
+    }
+
+    // A new tournament extends the ratings; edits, deletes and reverts can
+    // change any event's result, so they recompute from the start
+    updateRatings(change) {
+        const event = change.type === 'create' && this.events.find(e => e.id === change.eventId);
+        this.ratings = event ? Ratings.add(this.ratings, event, this.events) : Ratings.compute(this.events);
+    }
+
+    // Extra round rows; the main date/course/score fields are round 1
+    addRoundRow() {
+        const container = document.getElementById('extraRounds');
+        if (!container) return;
+
+        const row = document.createElement('div');
+        row.className = 'round-row';
+        row.innerHTML = `
+            <span class="round-label"></span>
+            <input type="date" name="roundDate">
+            <input type="text" name="roundCourse" placeholder="Course" required>
+            <input type="number" name="roundScore" placeholder="Score">
+            <button type="button" class="round-remove" aria-label="Remove round">×</button>
+        `;
+        row.querySelector('.round-remove').addEventListener('click', () => {
+            row.remove();
+            this.updateRoundLabels();
+        });
+
+        container.appendChild(row);
+        this.updateRoundLabels();
+        return row;
+    }
+
+    updateRoundLabels() {
+        const rows = document.querySelectorAll('#extraRounds .round-row');
+        rows.forEach((row, index) => {
+            row.querySelector('.round-label').textContent = `Round ${index + 2}`;
+        });
+
+        const multiRound = rows.length > 0;
+        const courseLabel = document.querySelector('label[for="courseName"]');
+        const scoreLabel = document.querySelector('label[for="score"]');
+        if (courseLabel) courseLabel.textContent = multiRound ? 'Round 1 Course *' : 'Course Name *';
+        if (scoreLabel) scoreLabel.textContent = multiRound ? 'Round 1 Score (or Total) *' : 'Score *';
+    }
+
+    // Round 1 from the main fields followed by any extra round rows
+    getFormRounds(formData) {
+        const rounds = [{
+            date: formData.get('tournamentDate'),
+            course: formData.get('courseName'),
+            score: formData.get('score')
+        }];
+
+        const dates = formData.getAll('roundDate');
+        const courses = formData.getAll('roundCourse');
+        const scores = formData.getAll('roundScore');
+        courses.forEach((course, i) => {
+            rounds.push({ date: dates[i], course, score: scores[i] });
+        });
+
+        return rounds;
     }
 
     closeAddTournamentModal() {
         const modal = document.getElementById('addTournamentModal');
         if (modal) {
             modal.style.display = 'none';
+            this.setModalMode(null);
             // Reset form
             const form = document.getElementById('tournamentForm');
             if (form) form.reset();
+            const extraRounds = document.getElementById('extraRounds');
+            if (extraRounds) extraRounds.innerHTML = '';
+            this.updateRoundLabels();
+            this.toggleTeamFields();
+            this.updateCourseDetailsHint();
+        }
+    }
+
+    // Show the registry's par/rating/slope for the round 1 course as
+    // placeholders, so blank fields visibly fall back to them
+    updateCourseDetailsHint() {
+        const input = document.getElementById('courseName');
+        const hint = document.getElementById('courseDetailsHint');
+        if (!input) return;
+
+        const name = this.courses.resolve(input.value);
+        const entry = input.value && this.courses.has(name) ? this.courses.get(name) : {};
+        const fields = { coursePar: ['par', 'Par'], courseRating: ['rating', 'Rating'], courseSlope: ['slope', 'Slope'] };
+        Object.entries(fields).forEach(([id, [key, label]]) => {
+            const field = document.getElementById(id);
+            if (field) field.placeholder = entry[key] ? `${label} (${entry[key]})` : label;
+        });
+
+        if (hint) {
+            hint.textContent = entry.name
+                ? `Leave blank to use ${entry.name}'s usual tees`
+                : 'Leave blank to use the course\'s usual tees';
         }
     }
 
-    handleFormSubmit(event) {
+    // Switch the champion fields between a single player and a team roster;
+    // team names are optional
+    toggleTeamFields() {
+        const checkbox = document.getElementById('teamEvent');
+        const rosterGroup = document.getElementById('teamRosterGroup');
+        const label = document.querySelector('label[for="playerName"]');
+        if (!checkbox || !rosterGroup) return;
+
+        const isTeam = checkbox.checked;
+        rosterGroup.style.display = isTeam ? 'block' : 'none';
+        document.getElementById('teamRoster').required = isTeam;
+        document.getElementById('playerName').required = !isTeam;
+        if (label) label.textContent = isTeam ? 'Team Name' : 'Champion Name *';
+    }
+
+    async handleFormSubmit(event) {
         event.preventDefault();
         
         const formData = new FormData(event.target);
-        const newTournament = {
-            name: formData.get('playerName'),
+        const newEvent = ChampionshipModel.createEvent({
+            tournamentName: formData.get('tournamentName'),
+            champion: formData.get('playerName'),
+            roster: formData.get('teamEvent') ? ChampionshipModel.parseRoster(formData.get('teamRoster')) : null,
             date: formData.get('tournamentDate'),
             trophy: formData.get('trophyType'),
             course: formData.get('courseName'),
-            score: parseInt(formData.get('score')),
-            history: formData.get('history') || ''
-        };
+            score: formData.get('score'),
+            scoring: formData.get('scoring'),
+            trip: formData.get('trip'),
+            rounds: this.getFormRounds(formData),
+            courseDetails: {
+                [formData.get('courseName')]: {
+                    par: formData.get('coursePar'),
+                    rating: formData.get('courseRating'),
+                    slope: formData.get('courseSlope')
+                }
+            },
+            history: formData.get('history'),
+            field: ChampionshipModel.parseFieldEntries(formData.get('fieldResults'))
+        });
 
-        // Add to tournaments array
-        this.tournaments.unshift(newTournament);
-        
-        // Update cache
-        this.setCachedData(this.tournaments);
-        
-        // Re-render dashboard
-        this.renderDashboard();
+        // Errors keep the form open; warnings need a second look
+        const eventId = this.editingEventId;
+        const issues = ChampionshipValidator.validateEvent(
+            { ...ChampionshipModel.normalizeEvent(newEvent), id: eventId },
+            { events: this.events, trophies: this.trophies.names() }
+        );
+        const errors = ChampionshipValidator.errors(issues);
+        if (errors.length) {
+            this.showNotification(errors.map(issue => issue.message).join('\n'), 'error');
+            return;
+        }
+        const warnings = ChampionshipValidator.warnings(issues);
+        if (warnings.length && !confirm(`${warnings.map(issue => issue.message).join('\n')}\n\nSave anyway?`)) return;
+
+        try {
+            if (eventId) {
+                // Edits keep the event's id
+                const before = this.events.find(e => e.id === eventId);
+                await this.commitChange({ type: 'update', eventId, before, after: { id: eventId, ...newEvent } });
+            } else {
+                // Listing the new event last keeps existing ids stable
+                const data = ChampionshipModel.normalize({ events: [...this.events, newEvent] });
+                const savedEvent = data.events[data.events.length - 1];
+                await this.commitChange({ type: 'create', eventId: savedEvent.id, before: null, after: savedEvent });
+            }
+        } catch (error) {
+            // The page already shows the change, so submitting again would
+            // apply it twice
+            console.error('Failed to save change locally:', error);
+            this.closeAddTournamentModal();
+            this.showNotification('Could not save the tournament on this device; it will be lost when the page reloads.', 'error');
+            return;
+        }
         
         // Close modal
         this.closeAddTournamentModal();
         
         // Show success message
-        this.showSuccessMessage('Tournament added successfully!');
+        this.showNotification(eventId ? 'Tournament updated successfully!' : 'Tournament added successfully!');
     }
 
-    showSuccessMessage(message) {
-        const successDiv = document.createElement('div');
-        successDiv.className = 'success-message';
-        successDiv.textContent = message;
-        document.body.appendChild(successDiv);
-        
+    // CSV/TSV import: pick or drop a file, map its columns, preview, merge
+    setupImportListeners() {
+        const fileInput = document.getElementById('importFile');
+        const dropZone = document.getElementById('importDropZone');
+        if (!fileInput || !dropZone) return;
+
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files[0]) this.readImportFile(fileInput.files[0]);
+        });
+
+        ['dragenter', 'dragover'].forEach(type => {
+            dropZone.addEventListener(type, (e) => {
+                e.preventDefault();
+                dropZone.classList.add('dragover');
+            });
+        });
+        ['dragleave', 'drop'].forEach(type => {
+            dropZone.addEventListener(type, (e) => {
+                e.preventDefault();
+                dropZone.classList.remove('dragover');
+            });
+        });
+        dropZone.addEventListener('drop', (e) => {
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (file) this.readImportFile(file);
+        });
+    }
+
+    openImportModal() {
+        const modal = document.getElementById('importModal');
+        if (modal) modal.style.display = 'block';
+    }
+
+    closeImportModal() {
+        const modal = document.getElementById('importModal');
+        if (!modal) return;
+
+        modal.style.display = 'none';
+        this.pendingImport = null;
+        document.getElementById('importFile').value = '';
+        document.getElementById('importFileLabel').textContent = 'Drop a CSV or TSV file here, or click to choose one. The first row should hold column names.';
+        document.getElementById('importMapping').innerHTML = '';
+        document.getElementById('importPreview').innerHTML = '';
+        document.getElementById('importConfirm').disabled = true;
+    }
+
+    async readImportFile(file) {
+        try {
+            this.loadImportText(file.name, await file.text());
+        } catch (error) {
+            console.error('Failed to read import file:', error);
+            this.showNotification(`Could not read ${file.name}`, 'error');
+        }
+    }
+
+    loadImportText(fileName, text) {
+        const { headers, rows } = TournamentImport.parse(text);
+        this.pendingImport = {
+            fileName,
+            headers,
+            rows,
+            mapping: TournamentImport.guessMapping(headers),
+            entries: []
+        };
+
+        document.getElementById('importFileLabel').textContent = `${fileName}: ${rows.length} row${rows.length === 1 ? '' : 's'} (choose another file to replace it)`;
+        this.renderImportMapping();
+        this.renderImportPreview();
+    }
+
+    // One select per tournament field, pre-filled from the column headers
+    renderImportMapping() {
+        const container = document.getElementById('importMapping');
+        const { headers, mapping } = this.pendingImport;
+
+        container.innerHTML = TournamentImport.FIELDS.map(field => `
+            <div class="form-group">
+                <label for="importMap-${field.key}">${field.label}${field.required ? ' *' : ''}</label>
+                <select id="importMap-${field.key}" data-field="${field.key}">
+                    <option value="">(not imported)</option>
+                    ${headers.map((header, index) => `
+                        <option value="${index}" ${mapping[field.key] === index ? 'selected' : ''}>${header ? ChampionshipModel.escapeHtml(header) : `Column ${index + 1}`}</option>
+                    `).join('')}
+                </select>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', () => {
+                if (select.value === '') {
+                    delete this.pendingImport.mapping[select.dataset.field];
+                } else {
+                    this.pendingImport.mapping[select.dataset.field] = parseInt(select.value, 10);
+                }
+                this.renderImportPreview();
+            });
+        });
+    }
+
+    // Every row against the current tournaments: new, duplicate or invalid.
+    // Cells and messages quote the file, so all of it is escaped.
+    renderImportPreview() {
+        const container = document.getElementById('importPreview');
+        const pending = this.pendingImport;
+        pending.entries = TournamentImport.prepare(pending.rows, pending.mapping, {
+            events: this.events,
+            trophies: this.trophies.names()
+        });
+
+        const counts = TournamentImport.summarize(pending.entries);
+        const labels = { new: 'New', duplicate: 'Duplicate', error: 'Error' };
+        const escape = ChampionshipModel.escapeHtml;
+        const confirmButton = document.getElementById('importConfirm');
+        confirmButton.disabled = counts.new === 0;
+        confirmButton.textContent = `Import ${counts.new} Tournament${counts.new === 1 ? '' : 's'}`;
+
+        container.innerHTML = `
+            <div class="import-summary">
+                ${counts.new} new · ${counts.duplicate} duplicate · ${counts.error} with errors
+                (${this.events.length} → ${this.events.length + counts.new} tournaments)
+            </div>
+            <div class="records-table-wrapper">
+                <table class="records-table">
+                    <thead>
+                        <tr>
+                            <th>Line</th>
+                            <th>Status</th>
+                            <th>Date</th>
+                            <th>Trophy</th>
+                            <th>Champion</th>
+                            <th>Course</th>
+                            <th>Score</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${pending.entries.map(entry => `
+                            <tr>
+                                <td>${entry.line}</td>
+                                <td><span class="import-status ${entry.status}">${labels[entry.status]}</span></td>
+                                <td>${entry.event ? this.formatDate(entry.event.startDate) : escape(entry.values.date)}</td>
+                                <td>${escape(entry.event ? entry.event.trophy : entry.values.trophy)}</td>
+                                <td>${escape(entry.event ? ChampionshipModel.winnerNames(entry.event).join(' & ') : entry.values.champion)}</td>
+                                <td>${escape(entry.values.course)}</td>
+                                <td>${escape(entry.values.score)}</td>
+                            </tr>
+                            ${entry.status !== 'error' && entry.warnings.length ? `
+                                <tr>
+                                    <td></td>
+                                    <td colspan="6" class="import-warnings">${escape(entry.warnings.join('; '))}</td>
+                                </tr>
+                            ` : ''}
+                            ${entry.status !== 'new' ? `
+                                <tr>
+                                    <td></td>
+                                    <td colspan="6" class="import-errors">${entry.status === 'error'
+                                        ? escape(entry.errors.join('; '))
+                                        : `Already recorded${entry.duplicateOf.id ? ` as ${escape(entry.duplicateOf.tournamentName)}` : ` on line ${entry.duplicateOf.line}`}; skipped`}</td>
+                                </tr>
+                            ` : ''}
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Merge the new rows; duplicates and rows with errors are left out
+    async confirmImport() {
+        if (!this.pendingImport) return;
+
+        const newEvents = this.pendingImport.entries
+            .filter(entry => entry.status === 'new')
+            .map(entry => entry.event);
+        if (newEvents.length === 0) return;
+
+        // Listing the new events last keeps existing ids stable
+        const data = ChampionshipModel.normalize({ events: [...this.events, ...newEvents] });
+        const savedEvents = data.events.slice(this.events.length);
+        try {
+            await this.commitChanges(savedEvents.map(event => ({ type: 'create', eventId: event.id, before: null, after: event })));
+        } catch (error) {
+            console.error('Failed to save change locally:', error);
+            this.closeImportModal();
+            this.showNotification('Could not save the imported tournaments on this device; they will be lost when the page reloads.', 'error');
+            return;
+        }
+
+        this.closeImportModal();
+        this.showNotification(`Imported ${savedEvents.length} tournament${savedEvents.length === 1 ? '' : 's'}`);
+    }
+
+    // Messages are plain text; line breaks start new lines
+    showNotification(message, type = 'success') {
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+        notification.innerHTML = `
+            <div class="notification-content">
+                <span>${ChampionshipModel.escapeHtml(message).replace(/\n/g, '<br>')}</span>
+                <button class="notification-close" onclick="this.parentElement.parentElement.remove()">×</button>
+            </div>
+        `;
+        document.body.appendChild(notification);
+
         setTimeout(() => {
-            successDiv.remove();
-        }, 3000);
+            if (notification.parentElement) {
+                notification.remove();
+            }
+        }, 5000);
+    }
+
+    openExportModal() {
+        const modal = document.getElementById('exportModal');
+        if (!modal) return;
+
+        const count = this.filteredEvents().length;
+        this.updateElement('exportScope', count === this.events.length
+            ? `All ${count} tournaments will be exported.`
+            : `${count} of ${this.events.length} tournaments match the active filters and will be exported.`);
+        modal.style.display = 'block';
+    }
+
+    closeExportModal() {
+        const modal = document.getElementById('exportModal');
+        if (modal) modal.style.display = 'none';
+    }
+
+    exportAs(format) {
+        const events = this.filteredEvents();
+        const date = new Date().toISOString().split('T')[0];
+
+        try {
+            switch (format) {
+                case 'records-csv':
+                    this.downloadFile(ChampionshipExport.recordsCsv(events), `golf_records_${date}.csv`, 'text/csv');
+                    break;
+                case 'leaderboard-csv':
+                    this.downloadFile(ChampionshipExport.leaderboardCsv(events, this.leaderboardView), `golf_leaderboard_${this.leaderboardView}_${date}.csv`, 'text/csv');
+                    break;
+                case 'ics':
+                    this.downloadFile(ChampionshipExport.toIcs(events), `golf_championships_${date}.ics`, 'text/calendar');
+                    break;
+                case 'report':
+                    this.openSeasonReport(events);
+                    break;
+                default:
+                    this.exportData();
+                    return;
+            }
+            this.closeExportModal();
+            this.showNotification('Export ready!');
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.showNotification('Failed to export data. Please try again.', 'error');
+        }
+    }
+
+    // The report opens in a new tab ready to print; if pop-ups are blocked
+    // it is downloaded instead. Without Chart.js the charts are tables, and
+    // so are their entries in the report.
+    openSeasonReport(events) {
+        const charts = [
+            { title: 'Trophy Distribution', chart: this.charts.trophyChart },
+            { title: 'Champion Performance Over Time', chart: this.charts.performanceChart }
+        ].filter(entry => entry.chart).map(entry => (entry.chart.toBase64Image
+            ? { title: entry.title, image: entry.chart.toBase64Image() }
+            : { title: entry.title, table: ChartView.tableHtml(entry.chart.config) }));
+
+        const html = ChampionshipExport.seasonReport(events, {
+            subtitle: this.filterBar && ChampionshipFilter.isActive(this.filterBar.filter)
+                ? `${ChampionshipFilter.describe(this.filterBar.filter)} (${events.length} of ${this.events.length} tournaments)`
+                : 'All tournaments',
+            charts
+        });
+
+        const report = window.open('', '_blank');
+        if (report) {
+            report.document.write(html);
+            report.document.close();
+        } else {
+            this.downloadFile(html, `golf_season_report_${new Date().toISOString().split('T')[0]}.html`, 'text/html');
+        }
+    }
+
+    downloadFile(content, fileName, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+
+        URL.revokeObjectURL(url);
     }
 
     exportData() {
         try {
-            const dataStr = JSON.stringify(this.tournaments, null, 2);
-            const dataBlob = new Blob([dataStr], { type: 'application/json' });
-            const url = URL.createObjectURL(dataBlob);
-            
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `golf_championships_${new Date().toISOString().split('T')[0]}.json`;
-            link.click();
-            
-            URL.revokeObjectURL(url);
+            const dataStr = JSON.stringify({
+                version: ChampionshipModel.SCHEMA_VERSION,
+                events: this.filteredEvents(),
+                changeLog: this.changeLog
+            }, null, 2);
+            this.downloadFile(dataStr, `golf_championships_${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+
+            this.closeExportModal();
+            this.showNotification('Data exported successfully!');
         } catch (error) {
             console.error('Export failed:', error);
             alert('Failed to export data. Please try again.');
@@ -681,3 +2302,71 @@ function closeAddTournamentModal() {
 function exportData() {
     if (dashboard) dashboard.exportData();
 }
+
+function addRoundRow() {
+    if (dashboard) dashboard.addRoundRow();
+}
+
+function setLeaderboardView(view) {
+    if (dashboard) dashboard.setLeaderboardView(view);
+}
+
+function setRecentView(view) {
+    if (dashboard) dashboard.setRecentView(view);
+}
+
+function editTournament(eventId) {
+    if (dashboard) dashboard.editTournament(eventId);
+}
+
+function deleteTournament(eventId) {
+    if (dashboard) dashboard.deleteTournament(eventId);
+}
+
+function revertChange(seq) {
+    if (dashboard) dashboard.revertChange(seq);
+}
+
+function undoLastChange() {
+    if (dashboard) dashboard.undoLastChange();
+}
+
+function openImportModal() {
+    if (dashboard) dashboard.openImportModal();
+}
+
+function closeImportModal() {
+    if (dashboard) dashboard.closeImportModal();
+}
+
+function confirmImport() {
+    if (dashboard) dashboard.confirmImport();
+}
+
+function openExportModal() {
+    if (dashboard) dashboard.openExportModal();
+}
+
+function closeExportModal() {
+    if (dashboard) dashboard.closeExportModal();
+}
+
+function exportAs(format) {
+    if (dashboard) dashboard.exportAs(format);
+}
+
+function openRoundModal() {
+    if (dashboard) dashboard.openRoundModal();
+}
+
+function closeRoundModal() {
+    if (dashboard) dashboard.closeRoundModal();
+}
+
+function deleteRound(id) {
+    if (dashboard) dashboard.deleteRound(id);
+}
+
+function installApp() {
+    if (dashboard) dashboard.installApp();
+}
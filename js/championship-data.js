@@ -0,0 +1,190 @@
+// Championship Data
+// Loads the championship document for every page. The copy cached in
+// localStorage is used as-is while it is younger than the TTL; after that
+// it is revalidated against the network, sending its ETag so an unchanged
+// document costs a 304. Either way the result is normalized to the v2 shape
+// and events saved on this device (see TournamentStore) are laid over the
+// top. A response the service worker answered from its cache counts as
+// cached data too.
+
+class ChampionshipData {
+    constructor({ url = './data/championships.json', store = null, maxRetries = 3, ttl = ChampionshipData.TTL } = {}) {
+        this.url = url;
+        this.store = store;
+        this.maxRetries = maxRetries;
+        this.ttl = ttl;
+    }
+
+    static get TTL() {
+        return 10 * 60 * 1000;
+    }
+
+    // Resolves with { events, source, updatedAt, stale } where source is
+    // 'network' or 'cache' and updatedAt is when the data was fetched (ms),
+    // if known. A fresh cached copy is returned without a request.
+    async load() {
+        const cached = await this.loadCached();
+        if (cached && !cached.stale) return cached;
+
+        try {
+            return await this.revalidate();
+        } catch (error) {
+            console.error('Failed to load data:', error);
+            if (!cached) {
+                throw new Error('No data available');
+            }
+            return cached;
+        }
+    }
+
+    // The localStorage copy straight away, or null when there is none
+    async loadCached() {
+        const data = this.getCachedData();
+        if (!data) return null;
+
+        const updatedAt = this.getCachedTimestamp();
+        return { events: await this.withLocalEvents(data.events), source: 'cache', updatedAt, stale: this.isStale(updatedAt) };
+    }
+
+    // Fetch the document, conditionally when the cached copy has an ETag.
+    // Also resolves with `changed`, false when the server answered 304 and
+    // the cached copy stands.
+    async revalidate() {
+        const etag = this.getCachedEtag();
+        const cached = etag ? this.getCachedData() : null;
+        // A conditional request must skip the HTTP cache to see the 304
+        const response = await this.fetchWithRetry(this.url, cached ? { cache: 'no-store', headers: { 'If-None-Match': etag } } : {});
+
+        if (response.status === 304 && cached) {
+            this.touchCachedData();
+            return { events: await this.withLocalEvents(cached.events), source: 'network', updatedAt: Date.now(), stale: false, changed: false };
+        }
+
+        const data = ChampionshipModel.normalize(await response.json());
+        if (response.headers.get('X-Served-From') === 'cache') {
+            const updatedAt = Date.parse(response.headers.get('X-Cached-At')) || null;
+            return { events: await this.withLocalEvents(data.events), source: 'cache', updatedAt, stale: this.isStale(updatedAt), changed: true };
+        }
+
+        this.setCachedData(data, response.headers.get('ETag'));
+        return { events: await this.withLocalEvents(data.events), source: 'network', updatedAt: Date.now(), stale: false, changed: true };
+    }
+
+    isStale(updatedAt) {
+        return !updatedAt || Date.now() - updatedAt > this.ttl;
+    }
+
+    // Overlay events saved in IndexedDB that the server may not have yet
+    async withLocalEvents(events) {
+        if (!this.store) return events;
+
+        try {
+            const localEvents = await this.store.getLocalEvents();
+            return ChampionshipModel.mergeEvents(events, localEvents);
+        } catch (error) {
+            console.warn('Failed to read local events:', error);
+            return events;
+        }
+    }
+
+    async fetchWithRetry(url, options = {}) {
+        for (let i = 0; i < this.maxRetries; i++) {
+            try {
+                const response = await fetch(url, {
+                    cache: 'no-cache',
+                    ...options,
+                    headers: {
+                        'Cache-Control': 'no-cache',
+                        ...options.headers
+                    }
+                });
+
+                // The service worker's offline answer: retrying cannot help
+                if (ChampionshipData.isOffline(response)) {
+                    const offline = new Error('Offline and not cached by the service worker');
+                    offline.offline = true;
+                    throw offline;
+                }
+
+                // 304 answers a conditional request
+                if (!response.ok && response.status !== 304) {
+                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                }
+
+                return response;
+            } catch (error) {
+                console.warn(`Fetch attempt ${i + 1} failed:`, error.message);
+
+                if (error.offline || i === this.maxRetries - 1) {
+                    throw error;
+                }
+
+                // Exponential backoff
+                await this.delay(Math.pow(2, i) * 1000);
+            }
+        }
+    }
+
+    static isOffline(response) {
+        return response.status === 503 && response.headers.get('X-Offline') === '1';
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    getCachedData() {
+        try {
+            const cached = localStorage.getItem('golf-tournaments');
+            // Older caches hold the flat v1 rows; normalize upgrades them
+            return cached ? ChampionshipModel.normalize(JSON.parse(cached)) : null;
+        } catch (error) {
+            console.warn('Failed to load cached data:', error);
+            return null;
+        }
+    }
+
+    getCachedTimestamp() {
+        try {
+            const timestamp = parseInt(localStorage.getItem('golf-tournaments-timestamp'), 10);
+            return Number.isFinite(timestamp) ? timestamp : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getCachedEtag() {
+        try {
+            return localStorage.getItem('golf-tournaments-etag');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setCachedData(data, etag = null) {
+        try {
+            localStorage.setItem('golf-tournaments', JSON.stringify(data));
+            localStorage.setItem('golf-tournaments-timestamp', Date.now().toString());
+            if (etag) {
+                localStorage.setItem('golf-tournaments-etag', etag);
+            } else {
+                localStorage.removeItem('golf-tournaments-etag');
+            }
+        } catch (error) {
+            console.warn('Failed to cache data:', error);
+        }
+    }
+
+    // The server confirmed the cached copy; restart its TTL
+    touchCachedData() {
+        try {
+            localStorage.setItem('golf-tournaments-timestamp', Date.now().toString());
+        } catch (error) {
+            console.warn('Failed to update cache timestamp:', error);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChampionshipData;
+}
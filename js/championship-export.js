@@ -0,0 +1,227 @@
+// Championship Export
+// File formats for the dashboard's export menu: CSV of the records and of
+// the leaderboard, an iCalendar feed of the events and a print-ready HTML
+// season report. Everything here builds strings from the events it is
+// given, so exports follow whatever the caller has filtered down to.
+
+class ChampionshipExport {
+    // The model is a global in the browser and a CommonJS module in Node
+    static get model() {
+        return typeof ChampionshipModel !== 'undefined' ? ChampionshipModel : require('./championship-model.js');
+    }
+
+    static get stats() {
+        return typeof ChampionshipStats !== 'undefined' ? ChampionshipStats : require('./championship-stats.js');
+    }
+
+    // Quote cells holding delimiters, quotes or line breaks
+    static csvCell(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static toCsv(headers, rows) {
+        return [headers, ...rows]
+            .map(row => row.map(cell => ChampionshipExport.csvCell(cell)).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    // One row per event, oldest first. The headers match what the importer
+    // recognises, so an exported file can be imported again.
+    static recordsCsv(events) {
+        const Model = ChampionshipExport.model;
+        const rows = [...events]
+            .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))
+            .map(event => {
+                const winner = Model.winners(event)[0];
+                const team = Boolean(winner && Model.isTeam(winner));
+                return [
+                    event.startDate,
+                    event.endDate,
+                    event.trophy,
+                    event.tournamentName,
+                    winner ? (team ? winner.team || '' : winner.player) : '',
+                    team ? Model.playersOf(winner).join(', ') : '',
+                    event.courses.join(', '),
+                    winner ? winner.score : '',
+                    event.scoring,
+                    event.trip || '',
+                    event.history
+                ];
+            });
+        return ChampionshipExport.toCsv(
+            ['Date', 'End Date', 'Trophy', 'Tournament', 'Champion', 'Roster', 'Course', 'Score', 'Scoring', 'Trip', 'Notes'],
+            rows
+        );
+    }
+
+    // The leaderboard as shown: individual titles or team titles
+    static leaderboardCsv(events, view = 'individual') {
+        const Stats = ChampionshipExport.stats;
+        if (view === 'team') {
+            return ChampionshipExport.toCsv(
+                ['Rank', 'Team', 'Roster', 'Titles', 'Trophies'],
+                Stats.teamLeaderboard(events).map((team, index) => [
+                    index + 1, team.name, team.roster.join(', '), team.titles, team.trophies.join(', ')
+                ])
+            );
+        }
+
+        return ChampionshipExport.toCsv(
+            ['Rank', 'Player', 'Titles', 'Solo Titles', 'Team Titles', 'Runner-up Finishes'],
+            Stats.leaderboard(events).map((player, index) => [
+                index + 1, player.name, player.total, player.solo, player.team, player.runnerUps
+            ])
+        );
+    }
+
+    // Escape text values per RFC 5545
+    static icsText(value) {
+        return String(value || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // Fold content lines longer than 75 characters
+    static icsFold(line) {
+        const parts = [];
+        let rest = line;
+        while (rest.length > 75) {
+            parts.push(rest.slice(0, 75));
+            rest = ` ${rest.slice(75)}`;
+        }
+        parts.push(rest);
+        return parts.join('\r\n');
+    }
+
+    static icsDate(dateString, offsetDays = 0) {
+        const date = new Date(`${dateString}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + offsetDays);
+        return date.toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    // All-day events spanning each tournament's dates
+    static toIcs(events, now = new Date()) {
+        const Model = ChampionshipExport.model;
+        const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//BFF Golf//Championship Dashboard//EN',
+            'CALSCALE:GREGORIAN',
+            'X-WR-CALNAME:BFF Golf Championships'
+        ];
+
+        events.forEach(event => {
+            const winners = Model.winnerNames(event);
+            const description = [
+                winners.length ? `Champion: ${winners.join(' & ')}` : '',
+                event.history
+            ].filter(Boolean).join('\n');
+
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${event.id}@bff-golf`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${ChampionshipExport.icsDate(event.startDate)}`,
+                `DTEND;VALUE=DATE:${ChampionshipExport.icsDate(event.endDate || event.startDate, 1)}`,
+                `SUMMARY:${ChampionshipExport.icsText(`${event.trophy}: ${event.tournamentName}`)}`,
+                ...(event.courses.length ? [`LOCATION:${ChampionshipExport.icsText(event.courses.join(', '))}`] : []),
+                ...(description ? [`DESCRIPTION:${ChampionshipExport.icsText(description)}`] : []),
+                'END:VEVENT'
+            );
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => ChampionshipExport.icsFold(line)).join('\r\n') + '\r\n';
+    }
+
+    // A standalone, print-ready page: headline numbers, chart images, the
+    // leaderboard and every record. `charts` is [{ title, image }] with
+    // image as a data URL, or [{ title, table }] with the figures as table
+    // markup when there is no image.
+    static seasonReport(events, { title = 'BFF Golf Season Report', subtitle = '', charts = [], generatedAt = new Date() } = {}) {
+        const Model = ChampionshipExport.model;
+        const Stats = ChampionshipExport.stats;
+        const summary = Stats.summary(events);
+        const years = summary.firstYear === summary.lastYear ? `${summary.firstYear}` : `${summary.firstYear}–${summary.lastYear}`;
+        const formatDate = dateString => new Date(dateString).toLocaleDateString();
+        const escape = Model.escapeHtml;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escape(title)}</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #222; margin: 30px; }
+        h1 { color: #1e3c72; margin-bottom: 4px; }
+        h2 { color: #1e3c72; border-bottom: 2px solid #eee; padding-bottom: 6px; margin-top: 30px; }
+        .subtitle { color: #666; margin-bottom: 20px; }
+        .stats { display: flex; gap: 20px; flex-wrap: wrap; }
+        .stat { border: 1px solid #ddd; border-radius: 8px; padding: 12px 18px; text-align: center; }
+        .stat strong { display: block; font-size: 24px; color: #2E7D32; }
+        .charts { display: flex; flex-wrap: wrap; gap: 20px; }
+        .chart { flex: 1 1 320px; page-break-inside: avoid; }
+        .chart img { max-width: 100%; }
+        table { width: 100%; border-collapse: collapse; font-size: 13px; }
+        th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; }
+        th { background: #f5f5f5; }
+        tr { page-break-inside: avoid; }
+        .toolbar { margin-bottom: 20px; }
+        @media print {
+            body { margin: 0; }
+            .toolbar { display: none; }
+            h2 { page-break-after: avoid; }
+        }
+    </style>
+</head>
+<body>
+    <div class="toolbar"><button onclick="window.print()">🖨️ Print / Save as PDF</button></div>
+    <h1>${escape(title)}</h1>
+    <div class="subtitle">${subtitle ? `${escape(subtitle)} · ` : ''}${events.length ? years : 'No events'} · generated ${generatedAt.toLocaleString()}</div>
+
+    <div class="stats">
+        <div class="stat"><strong>${summary.totalEvents}</strong>Tournaments</div>
+        <div class="stat"><strong>${summary.champions}</strong>Champions</div>
+        <div class="stat"><strong>${summary.trophyTypes}</strong>Trophies</div>
+        ${summary.latest ? `<div class="stat"><strong>${escape(summary.latestWinners.join(' & '))}</strong>Latest champion</div>` : ''}
+    </div>
+
+    ${charts.length ? `
+    <h2>Charts</h2>
+    <div class="charts">
+        ${charts.map(chart => `<div class="chart"><h3>${escape(chart.title)}</h3>${chart.image ? `<img src="${chart.image}" alt="${escape(chart.title)}">` : chart.table}</div>`).join('')}
+    </div>` : ''}
+
+    <h2>Leaderboard</h2>
+    <table>
+        <thead><tr><th>#</th><th>Player</th><th>Titles</th><th>Team Titles</th><th>Runner-up</th></tr></thead>
+        <tbody>
+            ${Stats.leaderboard(events).map((player, index) => `
+            <tr><td>${index + 1}</td><td>${escape(player.name)}</td><td>${player.total}</td><td>${player.team}</td><td>${player.runnerUps}</td></tr>`).join('')}
+        </tbody>
+    </table>
+
+    <h2>Results</h2>
+    <table>
+        <thead><tr><th>Date</th><th>Trophy</th><th>Tournament</th><th>Champion</th><th>Course</th><th>Score</th></tr></thead>
+        <tbody>
+            ${Stats.byDate(events).map(event => {
+                const winner = Model.winners(event)[0];
+                return `
+            <tr><td>${formatDate(event.startDate)}</td><td>${escape(event.trophy)}</td><td>${escape(event.tournamentName)}</td><td>${escape(Model.winnerNames(event).join(' & '))}</td><td>${escape(event.courses.join(', '))}</td><td>${winner && winner.score !== null ? winner.score : '-'}</td></tr>`;
+            }).join('')}
+        </tbody>
+    </table>
+</body>
+</html>
+`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChampionshipExport;
+}
@@ -0,0 +1,90 @@
+// Championship Filter
+// The shared filter state behind the filter bar: a year range plus sets of
+// trophies, players and courses. It round-trips through the URL query
+// string (?from=2015&to=2020&trophy=SUC&player=Jim+Flanagan) so a filtered
+// view can be bookmarked or shared. Empty sets mean "no restriction".
+
+class ChampionshipFilter {
+    static get model() {
+        return typeof ChampionshipModel !== 'undefined' ? ChampionshipModel : require('./championship-model.js');
+    }
+
+    static empty() {
+        return { from: null, to: null, trophies: [], players: [], courses: [] };
+    }
+
+    static fromQuery(search) {
+        const params = new URLSearchParams(search);
+        const year = value => (/^\d{4}$/.test(value || '') ? parseInt(value, 10) : null);
+
+        return {
+            from: year(params.get('from')),
+            to: year(params.get('to')),
+            trophies: params.getAll('trophy').filter(Boolean),
+            players: params.getAll('player').filter(Boolean),
+            courses: params.getAll('course').filter(Boolean)
+        };
+    }
+
+    // Query string for a filter, without the leading '?'
+    static toQuery(filter) {
+        const params = new URLSearchParams();
+        if (filter.from) params.set('from', filter.from);
+        if (filter.to) params.set('to', filter.to);
+        filter.trophies.forEach(trophy => params.append('trophy', trophy));
+        filter.players.forEach(player => params.append('player', player));
+        filter.courses.forEach(course => params.append('course', course));
+        return params.toString();
+    }
+
+    static isActive(filter) {
+        return Boolean(filter.from || filter.to || filter.trophies.length || filter.players.length || filter.courses.length);
+    }
+
+    // Everyone with a result in the event, winners and the rest of the field
+    static playersIn(event) {
+        return event.results.flatMap(result => ChampionshipFilter.model.playersOf(result));
+    }
+
+    static matches(event, filter) {
+        const year = new Date(event.startDate).getFullYear();
+        if (filter.from && year < filter.from) return false;
+        if (filter.to && year > filter.to) return false;
+        if (filter.trophies.length && !filter.trophies.includes(event.trophy)) return false;
+        if (filter.players.length && !ChampionshipFilter.playersIn(event).some(player => filter.players.includes(player))) return false;
+        if (filter.courses.length && !event.courses.some(course => filter.courses.includes(course))) return false;
+        return true;
+    }
+
+    static apply(events, filter) {
+        if (!ChampionshipFilter.isActive(filter)) return events;
+        return events.filter(event => ChampionshipFilter.matches(event, filter));
+    }
+
+    // Values the filter bar offers, each sorted
+    static options(events) {
+        const years = events.map(event => new Date(event.startDate).getFullYear());
+        return {
+            years: [...new Set(years)].sort((a, b) => a - b),
+            trophies: [...new Set(events.map(event => event.trophy))],
+            players: [...new Set(events.flatMap(event => ChampionshipFilter.playersIn(event)))].sort(),
+            courses: [...new Set(events.flatMap(event => event.courses))].filter(Boolean).sort()
+        };
+    }
+
+    // "2015–2020 · SUC, TAMC · Jim Flanagan" for headings and exports
+    static describe(filter) {
+        const parts = [];
+        if (filter.from || filter.to) {
+            parts.push(filter.from === filter.to ? `${filter.from}` : `${filter.from || '…'}–${filter.to || '…'}`);
+        }
+        [filter.trophies, filter.players, filter.courses]
+            .filter(values => values.length)
+            .forEach(values => parts.push(values.join(', ')));
+        return parts.join(' · ');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChampionshipFilter;
+}
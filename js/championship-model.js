@@ -0,0 +1,621 @@
+// Championship Data Model
+// Schema v2 stores one entry per event with every competitor's result.
+// A result is either an individual ({ player }) or a team ({ team, roster }).
+// Multi-round events list ordered rounds ({ number, date, course }) and each
+// result carries matching roundScores; totals are derived from those.
+// Legacy (v1) data is a flat array with one row per winner; normalize()
+// turns either shape into a v2 document.
+
+class ChampionshipModel {
+    static get SCHEMA_VERSION() {
+        return 2;
+    }
+
+    // Accept a v2 document or a legacy flat array and return a v2 document
+    static normalize(raw) {
+        if (Array.isArray(raw)) {
+            return ChampionshipModel.fromFlatRows(raw);
+        }
+
+        if (raw && Array.isArray(raw.events)) {
+            return {
+                version: ChampionshipModel.SCHEMA_VERSION,
+                events: ChampionshipModel.assignIds(raw.events.map(event => ChampionshipModel.normalizeEvent(event)))
+            };
+        }
+
+        throw new Error('Unrecognized championship data format');
+    }
+
+    // Group legacy winner rows into events. Rows sharing a tournament name,
+    // trophy and date were co-winners of the same event; co-winners on the
+    // same score were one team.
+    static fromFlatRows(rows) {
+        const grouped = new Map();
+
+        rows.forEach(row => {
+            const key = [row.tournamentName || '', row.trophy, row.date].join('|');
+
+            if (!grouped.has(key)) {
+                grouped.set(key, {
+                    tournamentName: row.tournamentName || `${row.trophy} ${String(row.date).slice(0, 4)}`,
+                    trophy: row.trophy,
+                    startDate: row.date,
+                    endDate: row.date,
+                    courses: row.course ? [row.course] : [],
+                    history: row.history || '',
+                    results: []
+                });
+            }
+
+            const event = grouped.get(key);
+            if (row.course && !event.courses.includes(row.course)) {
+                event.courses.push(row.course);
+            }
+
+            // "Pinehurst #3, 5, 6 & 1" was one course per round
+            const roundCourses = ChampionshipModel.parseCourseList(row.course);
+            if (roundCourses.length > 1 && !event.rounds) {
+                event.rounds = roundCourses.map((course, index) => ({ number: index + 1, date: null, course }));
+                event.courses = [];
+            }
+            if (!event.history && row.history) {
+                event.history = row.history;
+            }
+
+            event.results.push({
+                player: row.name,
+                score: ChampionshipModel.parseScore(row.score),
+                position: 1
+            });
+        });
+
+        const events = [...grouped.values()].map(event => {
+            const scores = new Set(event.results.map(r => r.score));
+            if (event.results.length > 1 && scores.size === 1) {
+                event.results = [{
+                    roster: event.results.map(r => r.player),
+                    score: event.results[0].score,
+                    position: 1
+                }];
+            }
+            return ChampionshipModel.normalizeEvent(event);
+        });
+        return {
+            version: ChampionshipModel.SCHEMA_VERSION,
+            events: ChampionshipModel.assignIds(events)
+        };
+    }
+
+    static normalizeEvent(event) {
+        const rounds = ChampionshipModel.normalizeRounds(event.rounds);
+        const roundDates = rounds.map(r => r.date).filter(Boolean).sort();
+        const startDate = roundDates[0] || event.startDate || event.date;
+        const results = (event.results || []).map(result => ChampionshipModel.normalizeResult(result, rounds));
+
+        const courses = rounds.length
+            ? [...new Set(rounds.map(r => r.course).filter(Boolean))]
+            : (Array.isArray(event.courses) ? event.courses : (event.course ? [event.course] : []));
+
+        return {
+            ...event,
+            tournamentName: event.tournamentName || '',
+            trophy: event.trophy,
+            startDate: startDate,
+            endDate: roundDates[roundDates.length - 1] || event.endDate || startDate,
+            courses: courses,
+            history: event.history || '',
+            // Net events record scores after handicap strokes
+            scoring: event.scoring === 'net' ? 'net' : 'gross',
+            rounds: rounds,
+            results: ChampionshipModel.rankResults(results)
+        };
+    }
+
+    static normalizeRounds(rounds) {
+        return (rounds || [])
+            .map((round, index) => ({
+                number: Number.isInteger(round.number) ? round.number : index + 1,
+                date: round.date || null,
+                course: round.course || ''
+            }))
+            .sort((a, b) => a.number - b.number);
+    }
+
+    // Line round scores up with the event's rounds; a complete set of round
+    // scores overrides any recorded total
+    static normalizeResult(result, rounds) {
+        const normalized = { ...result, score: ChampionshipModel.parseScore(result.score) };
+        if (!rounds.length) return normalized;
+
+        const roundScores = rounds.map((_, i) => ChampionshipModel.parseScore((result.roundScores || [])[i]));
+        if (roundScores.every(score => score !== null)) {
+            normalized.score = roundScores.reduce((sum, score) => sum + score, 0);
+        }
+        normalized.roundScores = roundScores;
+        return normalized;
+    }
+
+    // Fill in missing positions from scores (lower is better) and flag ties.
+    // Entrants without a score or position only count as having played.
+    static rankResults(results) {
+        const placed = results.filter(r => Number.isInteger(r.position));
+        const scored = results
+            .filter(r => !Number.isInteger(r.position) && r.score !== null)
+            .sort((a, b) => a.score - b.score);
+        const unplaced = results
+            .filter(r => !Number.isInteger(r.position) && r.score === null)
+            .map(r => ({ ...r, position: null }));
+
+        const offset = placed.reduce((max, r) => Math.max(max, r.position), 0) + 1;
+        const ranked = scored.map(r => ({ ...r }));
+        ranked.forEach((result, index) => {
+            const previous = ranked[index - 1];
+            result.position = previous && previous.score === result.score
+                ? previous.position
+                : offset + index;
+        });
+
+        const ordered = [...placed, ...ranked].sort((a, b) => a.position - b.position);
+
+        const positionCounts = {};
+        ordered.forEach(r => {
+            positionCounts[r.position] = (positionCounts[r.position] || 0) + 1;
+        });
+
+        return [
+            ...ordered.map(r => ({ ...r, tied: positionCounts[r.position] > 1 })),
+            ...unplaced.map(r => ({ ...r, tied: false }))
+        ];
+    }
+
+    static parseScore(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const score = typeof value === 'number' ? value : parseInt(value, 10);
+        return Number.isFinite(score) ? score : null;
+    }
+
+    static assignIds(events) {
+        const used = new Set();
+
+        return events.map(event => {
+            let id = event.id || ChampionshipModel.slugify(`${event.startDate} ${event.trophy}`);
+            let candidate = id;
+            let suffix = 2;
+            while (used.has(candidate)) {
+                candidate = `${id}-${suffix++}`;
+            }
+            used.add(candidate);
+            return Object.assign({ id: candidate }, event, { id: candidate });
+        });
+    }
+
+    // Overlay locally saved events on a base list; local copies win by id and
+    // a `{ id, deleted: true }` tombstone removes the event
+    static mergeEvents(baseEvents, localEvents) {
+        const merged = new Map(baseEvents.map(event => [event.id, event]));
+        (localEvents || []).forEach(event => {
+            if (event.deleted) {
+                merged.delete(event.id);
+            } else {
+                merged.set(event.id, ChampionshipModel.normalizeEvent(event));
+            }
+        });
+        return [...merged.values()];
+    }
+
+    // Replace, add or (with a null `event`) remove one event by id
+    static applyChange(events, eventId, event) {
+        const index = events.findIndex(e => e.id === eventId);
+        const updated = [...events];
+
+        if (!event) {
+            if (index !== -1) updated.splice(index, 1);
+        } else if (index === -1) {
+            updated.push(event);
+        } else {
+            updated[index] = event;
+        }
+
+        return updated;
+    }
+
+    static slugify(text) {
+        return String(text)
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    // Build a single event from the add-tournament form values. Passing a
+    // roster makes the champion a team named by `champion`; passing more
+    // than one round ({ date, course, score }) makes it a multi-round event.
+    // When only round 1 has a score, `score` is taken as the event total.
+    // `courseDetails` ({ [course]: { par, rating, slope } }) records the
+    // tees played where they differ from the course registry; `scoring` is
+    // 'gross' or 'net'. `trip` names the trip the event was played on.
+    static createEvent({ tournamentName, trophy, date, course, history, champion, roster, score, rounds, field, courseDetails, scoring, trip }) {
+        const multiRound = Array.isArray(rounds) && rounds.length > 1;
+        const winner = roster && roster.length
+            ? { ...(champion ? { team: champion } : {}), roster }
+            : { player: champion };
+        const results = [{
+            ...winner,
+            score: ChampionshipModel.parseScore(score),
+            position: 1
+        }];
+
+        if (multiRound && rounds.slice(1).some(round => ChampionshipModel.parseScore(round.score) !== null)) {
+            results[0].roundScores = rounds.map(round => round.score);
+        }
+
+        (field || []).forEach(entry => {
+            results.push({
+                player: entry.player,
+                score: ChampionshipModel.parseScore(entry.score),
+                ...(entry.roundScores ? { roundScores: entry.roundScores } : {})
+            });
+        });
+
+        const details = ChampionshipModel.normalizeCourseDetails(courseDetails);
+
+        return ChampionshipModel.normalizeEvent({
+            tournamentName,
+            trophy,
+            ...(details ? { courseDetails: details } : {}),
+            ...(trip && trip.trim() ? { trip: trip.trim() } : {}),
+            startDate: date,
+            endDate: date,
+            courses: course ? [course] : [],
+            history: history || '',
+            scoring,
+            rounds: multiRound
+                ? rounds.map((round, index) => ({ number: index + 1, date: index === 0 ? date : round.date || null, course: round.course }))
+                : [],
+            results
+        });
+    }
+
+    // Numeric par/rating/slope per course, dropping empty values; null when
+    // nothing is left
+    static normalizeCourseDetails(courseDetails) {
+        const entries = Object.entries(courseDetails || {})
+            .map(([course, details]) => [course, Object.fromEntries(['par', 'rating', 'slope']
+                .map(key => [key, parseFloat(details[key])])
+                .filter(([, value]) => !isNaN(value)))])
+            .filter(([course, details]) => course && Object.keys(details).length);
+        return entries.length ? Object.fromEntries(entries) : null;
+    }
+
+    // The inverse of createEvent: add-tournament form values for an event,
+    // with the rest of the field as "Name, score" lines. Multi-round events
+    // without a full set of round scores keep their total in `score`.
+    static toFormValues(event) {
+        const [winner, ...field] = event.results;
+        const team = Boolean(winner && ChampionshipModel.isTeam(winner));
+        const [firstRound, ...extraRounds] = event.rounds;
+        const roundScores = (winner && winner.roundScores) || [];
+        const splitScores = roundScores.length > 0 && roundScores.every(score => score !== null);
+        const format = value => (value === null || value === undefined ? '' : String(value));
+        const course = firstRound ? firstRound.course : event.courses.join(', ');
+        const details = (event.courseDetails || {})[course] || {};
+
+        return {
+            tournamentName: event.tournamentName,
+            champion: winner ? (team ? winner.team || '' : winner.player) : '',
+            roster: team ? winner.roster.join(', ') : '',
+            teamEvent: team,
+            date: (firstRound && firstRound.date) || event.startDate,
+            trophy: event.trophy,
+            course,
+            par: format(details.par),
+            rating: format(details.rating),
+            slope: format(details.slope),
+            score: format(splitScores ? roundScores[0] : winner && winner.score),
+            rounds: extraRounds.map((round, i) => ({
+                date: round.date || '',
+                course: round.course,
+                score: splitScores ? format(roundScores[i + 1]) : ''
+            })),
+            history: event.history,
+            scoring: event.scoring,
+            trip: event.trip || '',
+            field: field.map(result => {
+                const scores = result.roundScores && result.roundScores.every(score => score !== null)
+                    ? result.roundScores
+                    : [result.score].filter(score => score !== null);
+                return [ChampionshipModel.entrantName(result), ...scores].join(', ');
+            }).join('\n')
+        };
+    }
+
+    // Split a combined course string into one course per round, e.g.
+    // "Pinehurst #3, 5, 6 & 1" -> ["Pinehurst #3", "Pinehurst #5", ...].
+    // Bare numbers reuse the course name from the previous entry. Anything
+    // else ("River Bend Golf & CC") is a single course name.
+    static parseCourseList(text) {
+        const parts = String(text || '')
+            .split(/\s*(?:,|&)\s*/)
+            .map(part => part.trim())
+            .filter(Boolean);
+
+        if (parts.slice(1).some(part => !/^#?\d+$/.test(part))) {
+            return [String(text).trim()];
+        }
+
+        let prefix = '';
+        return parts.map(part => {
+            const numbered = part.match(/^(.*?)(#|No\.\s*)(\d+)$/);
+            if (numbered && numbered[1].trim()) {
+                prefix = `${numbered[1].trim()} #`;
+                return `${prefix}${numbered[3]}`;
+            }
+
+            const bare = part.match(/^#?(\d+)$/);
+            if (bare && prefix) {
+                return `${prefix}${bare[1]}`;
+            }
+
+            return part;
+        });
+    }
+
+    // Names, courses and notes can come from imported files and form
+    // fields, so pages escape them before putting them in markup
+    static escapeHtml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // Parse a comma-separated roster
+    static parseRoster(text) {
+        return String(text || '')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean);
+    }
+
+    // Parse "Name, score" lines from the form's field textarea. Several
+    // scores on one line ("Name, 72, 75, 70") are round-by-round.
+    static parseFieldEntries(text) {
+        return String(text || '')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const parts = line.split(/\s*[,\t]\s*/);
+                const scores = [];
+                while (parts.length > 1 && /^-?\d+$/.test(parts[parts.length - 1])) {
+                    scores.unshift(parseInt(parts.pop(), 10));
+                }
+
+                const entry = { player: parts.join(', ').trim(), score: null };
+                if (scores.length === 1) {
+                    entry.score = scores[0];
+                } else if (scores.length > 1) {
+                    entry.roundScores = scores;
+                    entry.score = scores.reduce((sum, score) => sum + score, 0);
+                }
+                return entry;
+            });
+    }
+
+    static isTeam(result) {
+        return Array.isArray(result.roster);
+    }
+
+    // Players credited with a result; each teammate once
+    static playersOf(result) {
+        return ChampionshipModel.isTeam(result) ? [...new Set(result.roster)] : [result.player];
+    }
+
+    static entrantName(result) {
+        if (!ChampionshipModel.isTeam(result)) return result.player;
+        return result.team || ChampionshipModel.playersOf(result).join(' / ');
+    }
+
+    // One row per individual title credited, in the legacy row shape the
+    // charts count. Every member of a winning team gets a row.
+    static toTitleRows(events) {
+        const rows = [];
+
+        events.forEach(event => {
+            ChampionshipModel.winners(event).forEach(result => {
+                const team = ChampionshipModel.isTeam(result) ? ChampionshipModel.entrantName(result) : null;
+
+                ChampionshipModel.playersOf(result).forEach(player => {
+                    rows.push({
+                        name: player,
+                        date: event.startDate,
+                        trophy: event.trophy,
+                        course: event.courses.join(', '),
+                        score: result.score,
+                        history: event.history,
+                        tournamentName: event.tournamentName,
+                        eventId: event.id,
+                        team: team
+                    });
+                });
+            });
+        });
+
+        return rows;
+    }
+
+    static roundCount(event) {
+        return event.rounds && event.rounds.length ? event.rounds.length : 1;
+    }
+
+    // Total strokes spread over the rounds played, so a 3-round total
+    // compares fairly with a 4-round one
+    static averagePerRound(event, result) {
+        if (result.score === null) return null;
+        return result.score / ChampionshipModel.roundCount(event);
+    }
+
+    // Strokes per course from every known round score
+    static courseSplits(events) {
+        const splits = {};
+        const add = (course, score) => {
+            if (!course || score === null) return;
+            if (!splits[course]) splits[course] = { rounds: 0, strokes: 0, best: null };
+            splits[course].rounds++;
+            splits[course].strokes += score;
+            splits[course].best = splits[course].best === null ? score : Math.min(splits[course].best, score);
+        };
+
+        events.forEach(event => {
+            event.results.forEach(result => {
+                if (event.rounds.length) {
+                    event.rounds.forEach((round, i) => add(round.course, result.roundScores[i]));
+                } else if (event.courses.length === 1) {
+                    add(event.courses[0], result.score);
+                }
+            });
+        });
+
+        Object.values(splits).forEach(split => {
+            split.average = split.strokes / split.rounds;
+        });
+        return splits;
+    }
+
+    static winners(event) {
+        return event.results.filter(r => r.position === 1);
+    }
+
+    static winnerNames(event) {
+        return ChampionshipModel.winners(event).map(r => ChampionshipModel.entrantName(r));
+    }
+
+    // Count events (not credited titles) by a key such as trophy or year
+    static countEvents(events, keyFn) {
+        const counts = {};
+        events.forEach(event => {
+            const key = keyFn(event);
+            counts[key] = (counts[key] || 0) + 1;
+        });
+        return counts;
+    }
+
+    // Individual titles credited per player, split into solo and team wins
+    static titleCounts(events) {
+        const counts = {};
+        events.forEach(event => {
+            ChampionshipModel.winners(event).forEach(result => {
+                const kind = ChampionshipModel.isTeam(result) ? 'team' : 'solo';
+                ChampionshipModel.playersOf(result).forEach(player => {
+                    if (!counts[player]) counts[player] = { total: 0, solo: 0, team: 0 };
+                    counts[player].total++;
+                    counts[player][kind]++;
+                });
+            });
+        });
+        return counts;
+    }
+
+    // Team titles, grouped by roster so a team keeps its record across years
+    static teamTitleCounts(events) {
+        const teams = {};
+        events.forEach(event => {
+            ChampionshipModel.winners(event)
+                .filter(result => ChampionshipModel.isTeam(result))
+                .forEach(result => {
+                    const roster = ChampionshipModel.playersOf(result);
+                    const key = [...roster].sort().join('|');
+                    if (!teams[key]) {
+                        teams[key] = { name: ChampionshipModel.entrantName(result), roster, titles: 0, trophies: [] };
+                    }
+                    teams[key].titles++;
+                    if (!teams[key].trophies.includes(event.trophy)) {
+                        teams[key].trophies.push(event.trophy);
+                    }
+                });
+        });
+        return Object.values(teams).sort((a, b) => b.titles - a.titles);
+    }
+
+    // Runner-up finishes per player
+    static runnerUpCounts(events) {
+        const counts = {};
+        events.forEach(event => {
+            event.results
+                .filter(r => r.position === 2)
+                .forEach(r => {
+                    ChampionshipModel.playersOf(r).forEach(player => {
+                        counts[player] = (counts[player] || 0) + 1;
+                    });
+                });
+        });
+        return counts;
+    }
+
+    // Strokes between the winner and the next finisher, or null when unknown
+    static marginOfVictory(event) {
+        const winners = ChampionshipModel.winners(event);
+        if (winners.length !== 1 || winners[0].score === null) return null;
+
+        const chasers = event.results
+            .filter(r => r.position > 1 && r.score !== null)
+            .sort((a, b) => a.score - b.score);
+
+        return chasers.length ? chasers[0].score - winners[0].score : null;
+    }
+
+    static runnerUp(event) {
+        return event.results.filter(r => r.position === 2).map(r => ChampionshipModel.entrantName(r));
+    }
+
+    // 'wins', 'losses', 'ties' or null for result `a` against `b` in one event
+    static compareResults(a, b) {
+        if (a.position === null && b.position === null) return null;
+        if (a.position === null) return b.position === 1 ? 'losses' : null;
+        if (b.position === null) return a.position === 1 ? 'wins' : null;
+        if (a.position === b.position) return 'ties';
+        return a.position < b.position ? 'wins' : 'losses';
+    }
+
+    // Head-to-head records from every event both players entered:
+    // records[a][b] = { wins, losses, ties } from a's point of view.
+    // A player with no known finish only counts as beaten by the winner, and
+    // teammates are never compared with each other.
+    static headToHead(events) {
+        const records = {};
+        const bump = (a, b, outcome) => {
+            if (!records[a]) records[a] = {};
+            if (!records[a][b]) records[a][b] = { wins: 0, losses: 0, ties: 0 };
+            records[a][b][outcome]++;
+        };
+        const opposite = { wins: 'losses', losses: 'wins', ties: 'ties' };
+
+        events.forEach(event => {
+            const entrants = event.results;
+            for (let i = 0; i < entrants.length; i++) {
+                for (let j = i + 1; j < entrants.length; j++) {
+                    const a = entrants[i];
+                    const b = entrants[j];
+                    const result = ChampionshipModel.compareResults(a, b);
+                    if (!result) continue;
+
+                    ChampionshipModel.playersOf(a).forEach(playerA => {
+                        ChampionshipModel.playersOf(b).forEach(playerB => {
+                            if (playerA === playerB) return;
+                            bump(playerA, playerB, result);
+                            bump(playerB, playerA, opposite[result]);
+                        });
+                    });
+                }
+            }
+        });
+
+        return records;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChampionshipModel;
+}
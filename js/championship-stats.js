@@ -0,0 +1,588 @@
+// Championship Stats
+// Pure statistics over normalized events, shared by the dashboard, the
+// analytics page and the story page. Nothing here touches the DOM: every
+// function takes the event list and returns plain data, so the whole API
+// can be exercised from Node.
+
+class ChampionshipStats {
+    // The model is a global in the browser and a CommonJS module in Node
+    static get model() {
+        return typeof ChampionshipModel !== 'undefined' ? ChampionshipModel : require('./championship-model.js');
+    }
+
+    static yearOf(dateString) {
+        return new Date(dateString).getFullYear();
+    }
+
+    // Newest first
+    static byDate(events) {
+        return [...events].sort((a, b) => new Date(b.startDate) - new Date(a.startDate));
+    }
+
+    // Headline numbers for the stat cards. Each event counts once, however
+    // many teammates shared the title.
+    static summary(events) {
+        const Model = ChampionshipStats.model;
+        const titles = Model.toTitleRows(events);
+        const years = events.map(event => ChampionshipStats.yearOf(event.startDate));
+        const latest = ChampionshipStats.byDate(events)[0] || null;
+
+        return {
+            totalEvents: events.length,
+            champions: new Set(titles.map(t => t.name)).size,
+            trophyTypes: new Set(events.map(event => event.trophy)).size,
+            firstYear: years.length ? Math.min(...years) : null,
+            lastYear: years.length ? Math.max(...years) : null,
+            latest: latest,
+            latestWinners: latest ? Model.winnerNames(latest) : [],
+            latestMargin: latest ? Model.marginOfVictory(latest) : null
+        };
+    }
+
+    // `trophyOf` maps a trophy name to the key to count under, e.g. its
+    // lineage family; by default every trophy counts on its own
+    static eventsByTrophy(events, trophyOf = trophy => trophy) {
+        return ChampionshipStats.model.countEvents(events, event => trophyOf(event.trophy));
+    }
+
+    static eventsByYear(events) {
+        return ChampionshipStats.model.countEvents(events, event => ChampionshipStats.yearOf(event.startDate));
+    }
+
+    // Titles credited per player, team wins included, in first-win order
+    static titleTotals(events) {
+        const totals = {};
+        ChampionshipStats.model.toTitleRows(events).forEach(t => {
+            totals[t.name] = (totals[t.name] || 0) + 1;
+        });
+        return totals;
+    }
+
+    // Individual leaderboard: most titles first, runner-up finishes break ties
+    static leaderboard(events) {
+        const Model = ChampionshipStats.model;
+        const titleCounts = Model.titleCounts(events);
+        const runnerUps = Model.runnerUpCounts(events);
+
+        return Object.entries(titleCounts)
+            .map(([name, counts]) => ({ name, ...counts, runnerUps: runnerUps[name] || 0 }))
+            .sort((a, b) => b.total - a.total || b.runnerUps - a.runnerUps);
+    }
+
+    static teamLeaderboard(events) {
+        return ChampionshipStats.model.teamTitleCounts(events);
+    }
+
+    // Titles per player per year, for the performance-over-time lines
+    static titlesByYear(events) {
+        const titles = ChampionshipStats.model.toTitleRows(events);
+        const counts = {};
+        titles.forEach(t => {
+            const year = ChampionshipStats.yearOf(t.date);
+            if (!counts[year]) counts[year] = {};
+            counts[year][t.name] = (counts[year][t.name] || 0) + 1;
+        });
+
+        const years = Object.keys(counts).sort();
+        const totals = ChampionshipStats.titleTotals(events);
+        const players = Object.keys(totals);
+
+        return {
+            years: years,
+            players: players,
+            totals: totals,
+            series: players.map(player => ({
+                player,
+                counts: years.map(year => counts[year][player] || 0)
+            }))
+        };
+    }
+
+    // One entry per trophy, in order of first appearance: how many times it
+    // was played and who won it, most titles first
+    static trophyWinners(events) {
+        const trophies = {};
+        events.forEach(event => {
+            if (!trophies[event.trophy]) {
+                trophies[event.trophy] = { trophy: event.trophy, events: 0, winners: {} };
+            }
+            trophies[event.trophy].events++;
+        });
+
+        ChampionshipStats.model.toTitleRows(events).forEach(t => {
+            const winners = trophies[t.trophy].winners;
+            winners[t.name] = (winners[t.name] || 0) + 1;
+        });
+
+        return Object.values(trophies).map(entry => ({
+            ...entry,
+            winners: Object.entries(entry.winners)
+                .sort(([, a], [, b]) => b - a)
+                .map(([name, titles]) => ({ name, titles }))
+        }));
+    }
+
+    // Number of different champions per trophy (or per `trophyOf` key)
+    static uniqueWinnersByTrophy(events, trophyOf = trophy => trophy) {
+        const winners = {};
+        ChampionshipStats.model.toTitleRows(events).forEach(t => {
+            const key = trophyOf(t.trophy);
+            if (!winners[key]) winners[key] = new Set();
+            winners[key].add(t.name);
+        });
+
+        const counts = {};
+        Object.entries(winners).forEach(([trophy, names]) => {
+            counts[trophy] = names.size;
+        });
+        return counts;
+    }
+
+    // Share of all events each player has won, as a percentage; a team win
+    // counts for each teammate
+    static winShares(events) {
+        const totals = ChampionshipStats.titleTotals(events);
+        const shares = {};
+        Object.entries(totals).forEach(([name, titles]) => {
+            shares[name] = events.length ? (titles / events.length) * 100 : 0;
+        });
+        return shares;
+    }
+
+    // Number of distinct years in which each player won a title
+    static yearsWithTitles(events) {
+        const years = {};
+        ChampionshipStats.model.toTitleRows(events).forEach(t => {
+            if (!years[t.name]) years[t.name] = new Set();
+            years[t.name].add(ChampionshipStats.yearOf(t.date));
+        });
+
+        const counts = {};
+        Object.entries(years).forEach(([name, set]) => {
+            counts[name] = set.size;
+        });
+        return counts;
+    }
+
+    // Reigns and lineage changes for one trophy family, oldest first. A reign
+    // is a run of consecutive wins by the same champion(s) on one trophy;
+    // `family` is a TrophyRegistry family ({ members, links }).
+    static lineageTimeline(events, family) {
+        const Model = ChampionshipStats.model;
+        const members = new Set(family.members);
+        const reigns = [];
+
+        [...events]
+            .filter(event => members.has(event.trophy))
+            .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))
+            .forEach(event => {
+                const holders = Model.winnerNames(event);
+                const current = reigns[reigns.length - 1];
+                if (current && current.trophy === event.trophy && current.holders.join('|') === holders.join('|')) {
+                    current.to = event.startDate;
+                    current.wins++;
+                    current.eventIds.push(event.id);
+                } else {
+                    reigns.push({
+                        kind: 'reign',
+                        trophy: event.trophy,
+                        holders: holders,
+                        from: event.startDate,
+                        to: event.startDate,
+                        wins: 1,
+                        eventIds: [event.id]
+                    });
+                }
+            });
+
+        // A link sorts ahead of reigns that start on the same day
+        const entries = [
+            ...family.links.map(link => ({ kind: 'link', ...link, sortKey: `${link.date || ''}|0` })),
+            ...reigns.map(reign => ({ ...reign, sortKey: `${reign.from}|1` }))
+        ];
+        return entries
+            .sort((a, b) => a.sortKey.localeCompare(b.sortKey))
+            .map(({ sortKey, ...entry }) => entry);
+    }
+
+    // Every player with a result, winners and the rest of the field
+    static players(events) {
+        const Model = ChampionshipStats.model;
+        return [...new Set(events.flatMap(event => event.results.flatMap(result => Model.playersOf(result))))];
+    }
+
+    // Resolve a profile URL slug ("vince-frattaroli") back to a player name
+    static playerBySlug(events, slug) {
+        const Model = ChampionshipStats.model;
+        return ChampionshipStats.players(events).find(name => Model.slugify(name) === slug) || null;
+    }
+
+    // How an event was scored, for comparing like with like
+    static formatOf(event, result) {
+        const Model = ChampionshipStats.model;
+        if (Model.isTeam(result)) return 'Team';
+        return Model.roundCount(event) > 1 ? 'Multi-round (per round)' : 'Single round';
+    }
+
+    // Everything the player profile shows, from the events given (so filters
+    // apply). Scores by format cover every recorded finish, not just wins;
+    // multi-round scores are compared per round.
+    static playerProfile(events, name, today = new Date()) {
+        const Model = ChampionshipStats.model;
+        const DAY = 24 * 60 * 60 * 1000;
+        const oldestFirst = [...events].sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+        const resultFor = event => event.results.find(result => Model.playersOf(result).includes(name)) || null;
+        const played = oldestFirst.filter(event => resultFor(event));
+
+        const wins = played
+            .filter(event => resultFor(event).position === 1)
+            .map(event => {
+                const result = resultFor(event);
+                return {
+                    event,
+                    date: event.startDate,
+                    trophy: event.trophy,
+                    team: Model.isTeam(result) ? Model.entrantName(result) : null,
+                    score: result.score
+                };
+            });
+
+        const titlesByTrophy = {};
+        const courses = {};
+        wins.forEach(win => {
+            titlesByTrophy[win.trophy] = (titlesByTrophy[win.trophy] || 0) + 1;
+            win.event.courses.forEach(course => {
+                courses[course] = (courses[course] || 0) + 1;
+            });
+        });
+
+        const formats = {};
+        played.forEach(event => {
+            const result = resultFor(event);
+            if (result.score === null) return;
+            const format = ChampionshipStats.formatOf(event, result);
+            const score = format.startsWith('Multi-round') ? Model.averagePerRound(event, result) : result.score;
+            if (!formats[format]) formats[format] = { format, events: 0, best: null, total: 0 };
+            formats[format].events++;
+            formats[format].total += score;
+            formats[format].best = formats[format].best === null ? score : Math.min(formats[format].best, score);
+        });
+        const scoresByFormat = Object.values(formats).map(({ total, ...entry }) => ({ ...entry, average: total / entry.events }));
+
+        // Gaps between consecutive titles; the current drought runs to today
+        let longestDrought = null;
+        wins.slice(1).forEach((win, i) => {
+            const days = Math.round((new Date(win.date) - new Date(wins[i].date)) / DAY);
+            if (!longestDrought || days > longestDrought.days) {
+                longestDrought = { days, from: wins[i].date, to: win.date };
+            }
+        });
+        const lastWin = wins[wins.length - 1] || null;
+        const currentDrought = lastWin
+            ? { days: Math.max(0, Math.round((today - new Date(lastWin.date)) / DAY)), since: lastWin.date }
+            : null;
+
+        // Consecutive stagings of a trophy won, counting back from the latest
+        const streaks = Object.keys(titlesByTrophy).map(trophy => {
+            const outcomes = oldestFirst
+                .filter(event => event.trophy === trophy)
+                .map(event => Model.winners(event).some(result => Model.playersOf(result).includes(name)));
+            let longest = 0;
+            let run = 0;
+            outcomes.forEach(won => {
+                run = won ? run + 1 : 0;
+                longest = Math.max(longest, run);
+            });
+            return { trophy, current: run, longest };
+        }).sort((a, b) => b.current - a.current || b.longest - a.longest);
+
+        const record = Model.headToHead(events)[name] || {};
+        const rivalsBeaten = Object.entries(record)
+            .filter(([, versus]) => versus.wins > 0)
+            .map(([rival, versus]) => ({ name: rival, ...versus }))
+            .sort((a, b) => b.wins - a.wins || a.losses - b.losses);
+
+        return {
+            name,
+            played: played.length,
+            titles: wins.length,
+            titlesByTrophy,
+            wins,
+            courses,
+            scoresByFormat,
+            longestDrought,
+            currentDrought,
+            streaks,
+            rivalsBeaten
+        };
+    }
+
+    // Every event two players both took part in as separate entries, oldest
+    // first, seen from `a`'s side. `strokes` is a's score minus b's when
+    // both are known, so negative means a went lower.
+    static meetings(events, a, b) {
+        const Model = ChampionshipStats.model;
+        const entryOf = (event, player) => event.results.find(result => Model.playersOf(result).includes(player));
+
+        return ChampionshipStats.byDate(events).reverse()
+            .map(event => ({ event, resultA: entryOf(event, a), resultB: entryOf(event, b) }))
+            .filter(({ resultA, resultB }) => resultA && resultB && resultA !== resultB)
+            .map(({ event, resultA, resultB }) => ({
+                event,
+                date: event.startDate,
+                trophy: event.trophy,
+                resultA,
+                resultB,
+                outcome: Model.compareResults(resultA, resultB),
+                strokes: resultA.score !== null && resultB.score !== null ? resultA.score - resultB.score : null
+            }));
+    }
+
+    // Totals for a list of meetings: record, average stroke difference and
+    // the most recent meeting
+    static meetingSummary(meetings) {
+        const summary = { meetings: meetings.length, wins: 0, losses: 0, ties: 0, averageStrokes: null, last: meetings[meetings.length - 1] || null };
+        meetings.forEach(meeting => {
+            if (meeting.outcome) summary[meeting.outcome]++;
+        });
+        const strokes = meetings.filter(meeting => meeting.strokes !== null).map(meeting => meeting.strokes);
+        if (strokes.length) summary.averageStrokes = strokes.reduce((sum, value) => sum + value, 0) / strokes.length;
+        return summary;
+    }
+
+    // N x N head-to-head: players ordered by titles, each cell a
+    // meetingSummary of the row player against the column player
+    static headToHeadMatrix(events) {
+        const titles = ChampionshipStats.titleTotals(events);
+        const players = ChampionshipStats.players(events)
+            .sort((a, b) => (titles[b] || 0) - (titles[a] || 0) || a.localeCompare(b));
+
+        const cells = {};
+        players.forEach(a => {
+            cells[a] = {};
+            players.forEach(b => {
+                if (a !== b) cells[a][b] = ChampionshipStats.meetingSummary(ChampionshipStats.meetings(events, a, b));
+            });
+        });
+        return { players, cells };
+    }
+
+    // Two players side by side: their meetings plus titles per trophy and
+    // per season, so years they never met still compare
+    static rivalry(events, a, b) {
+        const Model = ChampionshipStats.model;
+        const meetings = ChampionshipStats.meetings(events, a, b);
+        const won = (event, player) => Model.winners(event).some(result => Model.playersOf(result).includes(player));
+
+        const compare = keyOf => {
+            const rows = {};
+            const row = key => {
+                if (!rows[key]) rows[key] = { key, titlesA: 0, titlesB: 0, meetings: [] };
+                return rows[key];
+            };
+            events.forEach(event => {
+                if (won(event, a)) row(keyOf(event)).titlesA++;
+                if (won(event, b)) row(keyOf(event)).titlesB++;
+            });
+            meetings.forEach(meeting => row(keyOf(meeting.event)).meetings.push(meeting));
+            return Object.values(rows).map(entry => ({ ...entry, record: ChampionshipStats.meetingSummary(entry.meetings) }));
+        };
+
+        return {
+            a,
+            b,
+            meetings,
+            record: ChampionshipStats.meetingSummary(meetings),
+            byTrophy: compare(event => event.trophy),
+            bySeason: compare(event => event.startDate.slice(0, 4)).sort((x, y) => x.key.localeCompare(y.key))
+        };
+    }
+
+    // The record book. Team titles count for every teammate, and every
+    // entry carries the events behind it so the page can link to them.
+    static recordBook(events, limit = 5) {
+        const Model = ChampionshipStats.model;
+        const DAY = 24 * 60 * 60 * 1000;
+        const oldestFirst = ChampionshipStats.byDate(events).reverse();
+        const holders = event => [...new Set(Model.winners(event).flatMap(result => Model.playersOf(result)))];
+        const wonBy = (event, player) => holders(event).includes(player);
+        const players = [...new Set(Model.toTitleRows(events).map(row => row.name))];
+        const trophies = [...new Set(oldestFirst.map(event => event.trophy))];
+
+        // Runs of consecutive stagings of one trophy won by the same player
+        const runs = [];
+        trophies.forEach(trophy => {
+            const stagings = oldestFirst.filter(event => event.trophy === trophy);
+            players.forEach(player => {
+                let run = [];
+                [...stagings, null].forEach(event => {
+                    if (event && wonBy(event, player)) {
+                        run.push(event);
+                        return;
+                    }
+                    if (run.length > 1) runs.push({ player, trophy, count: run.length, events: run });
+                    run = [];
+                });
+            });
+        });
+
+        // Gaps between a player's successive titles, any trophy
+        const gaps = [];
+        players.forEach(player => {
+            const wins = oldestFirst.filter(event => wonBy(event, player));
+            wins.slice(1).forEach((event, i) => {
+                const days = Math.round((new Date(event.startDate) - new Date(wins[i].startDate)) / DAY);
+                gaps.push({ player, days, events: [wins[i], event] });
+            });
+        });
+
+        // First and latest staging of each trophy
+        const firstAndLatest = trophies.map(trophy => {
+            const stagings = oldestFirst.filter(event => event.trophy === trophy);
+            return { trophy, first: stagings[0], latest: stagings[stagings.length - 1], events: [stagings[0], stagings[stagings.length - 1]] };
+        });
+
+        // Lowest winning score per trophy, compared per round so 54- and
+        // 72-hole stagings line up
+        const lowestScores = trophies.map(trophy => {
+            const scored = oldestFirst
+                .filter(event => event.trophy === trophy)
+                .map(event => ({ event, winner: Model.winners(event)[0] }))
+                .filter(({ winner }) => winner && winner.score !== null)
+                .map(({ event, winner }) => ({ event, winner, perRound: Model.averagePerRound(event, winner) }))
+                .sort((a, b) => a.perRound - b.perRound);
+            return scored.length
+                ? { trophy, score: scored[0].winner.score, perRound: scored[0].perRound, rounds: Model.roundCount(scored[0].event), winners: Model.winnerNames(scored[0].event), events: [scored[0].event] }
+                : null;
+        }).filter(Boolean);
+
+        // Titles per player per calendar year
+        const years = {};
+        oldestFirst.forEach(event => {
+            const year = event.startDate.slice(0, 4);
+            holders(event).forEach(player => {
+                const key = `${player}|${year}`;
+                if (!years[key]) years[key] = { player, year, count: 0, events: [] };
+                years[key].count++;
+                years[key].events.push(event);
+            });
+        });
+
+        // Players winning their first title, season by season
+        const seen = new Set();
+        const firstTitles = {};
+        oldestFirst.forEach(event => {
+            holders(event).forEach(player => {
+                if (seen.has(player)) return;
+                seen.add(player);
+                const year = event.startDate.slice(0, 4);
+                if (!firstTitles[year]) firstTitles[year] = { year, winners: [], events: [] };
+                firstTitles[year].winners.push({ player, event });
+                firstTitles[year].events.push(event);
+            });
+        });
+
+        return {
+            consecutiveTitles: runs.sort((a, b) => b.count - a.count || new Date(a.events[0].startDate) - new Date(b.events[0].startDate)).slice(0, limit),
+            longestGaps: gaps.sort((a, b) => b.days - a.days).slice(0, limit),
+            firstAndLatest,
+            lowestScores,
+            mostTitlesInYear: Object.values(years).filter(entry => entry.count > 1).sort((a, b) => b.count - a.count || a.year.localeCompare(b.year)).slice(0, limit),
+            firstTimeWinners: Object.values(firstTitles).sort((a, b) => b.year.localeCompare(a.year))
+        };
+    }
+
+    // Winning scores at a course in strokes per round: round by round where
+    // the winner's round scores are known, otherwise the per-round average
+    // of events played entirely on that course
+    static winningRoundsAt(events, course) {
+        const Model = ChampionshipStats.model;
+        const rounds = [];
+
+        events.filter(event => event.courses.includes(course)).forEach(event => {
+            const winner = Model.winners(event)[0];
+            if (!winner || winner.score === null) return;
+            const format = Model.isTeam(winner) ? 'Team' : 'Individual';
+
+            if (event.rounds.length && winner.roundScores && winner.roundScores.some(score => score !== null)) {
+                event.rounds.forEach((round, i) => {
+                    if (round.course === course && winner.roundScores[i] !== null) {
+                        rounds.push({ event, score: winner.roundScores[i], format });
+                    }
+                });
+            } else if (event.courses.length === 1) {
+                rounds.push({ event, score: Model.averagePerRound(event, winner), format });
+            }
+        });
+
+        return rounds;
+    }
+
+    // Everything the course page shows: events held there, champions, the
+    // players who "own" it (most titles there) and the spread of winning
+    // round scores in 5-stroke buckets
+    static courseReport(events, course) {
+        const held = ChampionshipStats.byDate(events.filter(event => event.courses.includes(course)));
+        const winners = Object.entries(ChampionshipStats.titleTotals(held))
+            .map(([name, titles]) => ({ name, titles }))
+            .sort((a, b) => b.titles - a.titles);
+        const mostTitles = winners.length ? winners[0].titles : 0;
+        const rounds = ChampionshipStats.winningRoundsAt(events, course);
+
+        const buckets = {};
+        rounds.forEach(({ score, format }) => {
+            const low = Math.floor(score / 5) * 5;
+            if (!buckets[low]) buckets[low] = { label: `${low}–${low + 4}`, low, Individual: 0, Team: 0 };
+            buckets[low][format]++;
+        });
+
+        const scores = rounds.map(round => round.score);
+        return {
+            course,
+            events: held,
+            winners,
+            owners: winners.filter(winner => winner.titles === mostTitles && mostTitles > 1).map(winner => winner.name),
+            rounds,
+            best: scores.length ? Math.min(...scores) : null,
+            average: scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null,
+            distribution: Object.values(buckets).sort((a, b) => a.low - b.low)
+        };
+    }
+
+    // One row per course, most events first, for the comparison chart.
+    // Averages use individual winning rounds only; scrambles would skew them.
+    static courseComparison(events) {
+        const courses = [...new Set(events.flatMap(event => event.courses))];
+        return courses.map(course => {
+            const held = events.filter(event => event.courses.includes(course)).length;
+            const scores = ChampionshipStats.winningRoundsAt(events, course)
+                .filter(round => round.format === 'Individual')
+                .map(round => round.score);
+            return {
+                course,
+                events: held,
+                champions: Object.keys(ChampionshipStats.titleTotals(events.filter(event => event.courses.includes(course)))).length,
+                averageWinningRound: scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null,
+                bestWinningRound: scores.length ? Math.min(...scores) : null
+            };
+        }).sort((a, b) => b.events - a.events || a.course.localeCompare(b.course));
+    }
+
+    // Smallest known margin of victory; a playoff counts as zero
+    static closestFinish(events) {
+        const Model = ChampionshipStats.model;
+        return events
+            .map(event => ({ event, margin: Model.marginOfVictory(event) }))
+            .filter(({ margin }) => margin !== null)
+            .sort((a, b) => a.margin - b.margin)[0] || null;
+    }
+
+    // Largest entry of a { key: number } map as [key, value]
+    static top(counts) {
+        return Object.entries(counts).sort(([, a], [, b]) => b - a)[0] || null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChampionshipStats;
+}
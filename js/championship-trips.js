@@ -0,0 +1,117 @@
+// Championship Trips
+// Groups events into the trips they were played on. A weekend away can
+// award several trophies (COW/UCOW, TAMC and SUC on the same days) and a
+// trophy can be played over several days, so a trip is a run of events with
+// no more than two days between them. Events naming a `trip` are grouped by
+// that name instead, which also joins weekends the gap rule would split.
+
+class ChampionshipTrips {
+    static get model() {
+        return typeof ChampionshipModel !== 'undefined' ? ChampionshipModel : require('./championship-model.js');
+    }
+
+    static get MAX_GAP_DAYS() {
+        return 2;
+    }
+
+    // Name for an automatic trip: the tournament names with their trophy
+    // taken out ("Spring TAMC 2022" -> "Spring 2022"), most common first.
+    // When only the year is left, the trophies name the trip instead.
+    static nameFor(events) {
+        if (events.length === 1) return events[0].tournamentName || `${events[0].trophy} ${events[0].startDate.slice(0, 4)}`;
+
+        const counts = {};
+        events.forEach(event => {
+            const name = String(event.tournamentName || '')
+                .replace(event.trophy, '')
+                .replace(/\b(Championship|Inaugural)\b/g, '')
+                .replace(/\s+/g, ' ')
+                .trim();
+            if (name && !/^\d{4}$/.test(name)) counts[name] = (counts[name] || 0) + 1;
+        });
+
+        const [best] = Object.entries(counts).sort(([, a], [, b]) => b - a);
+        return best ? best[0] : `${[...new Set(events.map(event => event.trophy))].join(' / ')} ${events[0].startDate.slice(0, 4)}`;
+    }
+
+    // Trips oldest first, each { id, name, startDate, endDate, events,
+    // courses, trophies }
+    static group(events) {
+        const DAY = 24 * 60 * 60 * 1000;
+        const oldestFirst = [...events].sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+        const named = {};
+        const groups = [];
+        let current = null;
+
+        oldestFirst.forEach(event => {
+            if (event.trip) {
+                if (!named[event.trip]) {
+                    named[event.trip] = { name: event.trip, events: [] };
+                    groups.push(named[event.trip]);
+                }
+                named[event.trip].events.push(event);
+                return;
+            }
+
+            const end = current && current.events[current.events.length - 1].endDate;
+            if (current && (new Date(event.startDate) - new Date(end)) / DAY <= ChampionshipTrips.MAX_GAP_DAYS) {
+                current.events.push(event);
+            } else {
+                current = { name: null, events: [event] };
+                groups.push(current);
+            }
+        });
+
+        return groups
+            .map(group => {
+                const startDate = group.events[0].startDate;
+                const endDate = group.events.reduce((latest, event) => (event.endDate > latest ? event.endDate : latest), startDate);
+                const name = group.name || ChampionshipTrips.nameFor(group.events);
+                return {
+                    id: ChampionshipTrips.model.slugify(`${startDate} ${name}`),
+                    name,
+                    startDate,
+                    endDate,
+                    events: group.events,
+                    courses: [...new Set(group.events.flatMap(event => event.courses))],
+                    trophies: [...new Set(group.events.map(event => event.trophy))]
+                };
+            })
+            .sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+    }
+
+    static tripOf(trips, event) {
+        return trips.find(trip => trip.events.includes(event)) || null;
+    }
+
+    // Titles per player on the trip, a team title counting for each
+    // teammate. The MVP has the most titles, then the most won alone; ties
+    // share the award.
+    static standings(trip) {
+        const Model = ChampionshipTrips.model;
+        const players = {};
+
+        trip.events.forEach(event => {
+            Model.winners(event).forEach(result => {
+                Model.playersOf(result).forEach(player => {
+                    if (!players[player]) players[player] = { player, titles: 0, solo: 0, trophies: [] };
+                    players[player].titles++;
+                    if (!Model.isTeam(result)) players[player].solo++;
+                    players[player].trophies.push(event.trophy);
+                });
+            });
+        });
+
+        return Object.values(players).sort((a, b) => b.titles - a.titles || b.solo - a.solo || a.player.localeCompare(b.player));
+    }
+
+    static mvp(trip) {
+        const [best, ...rest] = ChampionshipTrips.standings(trip);
+        if (!best) return [];
+        return [best, ...rest.filter(entry => entry.titles === best.titles && entry.solo === best.solo)];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChampionshipTrips;
+}
@@ -0,0 +1,257 @@
+// Championship Validator
+// Integrity checks for events: required fields, dates, trophy and player
+// names, winning scores against the usual range for the format, and
+// duplicates. Each problem is an issue { level, check, events, message }
+// where level is 'error' (the record is wrong) or 'warning' (it looks
+// wrong), check names the rule and events lists the ids involved. Checks
+// only report; nothing is changed or dropped.
+
+class ChampionshipValidator {
+    static get model() {
+        return typeof ChampionshipModel !== 'undefined' ? ChampionshipModel : require('./championship-model.js');
+    }
+
+    // Plausible 18-hole scores: individual gross, individual net and team
+    // formats (scrambles and best balls)
+    static get SCORE_RANGES() {
+        return {
+            individual: { min: 60, max: 130 },
+            net: { min: 50, max: 120 },
+            team: { min: 50, max: 80 }
+        };
+    }
+
+    // A trophy whose winning score never changes over this many events is
+    // probably carrying a placeholder
+    static get REPEATED_SCORE_MIN() {
+        return 3;
+    }
+
+    static issue(level, check, events, message) {
+        return { level, check, events: events.filter(Boolean).map(event => event.id).filter(Boolean), message };
+    }
+
+    static isDate(value) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ''))) return false;
+        const date = new Date(`${value}T00:00:00Z`);
+        return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+    }
+
+    static formatOf(event, result) {
+        if (ChampionshipValidator.model.isTeam(result)) return 'team';
+        return event.scoring === 'net' ? 'net' : 'individual';
+    }
+
+    // Levenshtein distance, for names that differ by a typo
+    static distance(a, b) {
+        const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = previous[0];
+            previous[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const above = previous[j];
+                previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+                diagonal = above;
+            }
+        }
+        return previous[b.length];
+    }
+
+    // The known name `name` is probably a misspelling of, or null
+    static lookalike(name, known) {
+        const key = String(name).toLowerCase().replace(/[^a-z]/g, '');
+        return known.find(other => {
+            if (other === name) return false;
+            const otherKey = other.toLowerCase().replace(/[^a-z]/g, '');
+            return otherKey === key || ChampionshipValidator.distance(key, otherKey) <= 2;
+        }) || null;
+    }
+
+    static duplicateKeys(event) {
+        return ChampionshipValidator.model.winnerNames(event)
+            .map(player => [event.startDate, event.trophy, String(player).trim().toLowerCase()].join('|'));
+    }
+
+    // Checks that need only the event itself. `trophies` lists the known
+    // trophy names; without it trophies are not checked.
+    static checkEvent(event, { trophies = [] } = {}) {
+        const Model = ChampionshipValidator.model;
+        const issues = [];
+        const add = (level, check, message) => issues.push(ChampionshipValidator.issue(level, check, [event], message));
+        const label = `${event.tournamentName || event.trophy || 'Tournament'} (${event.startDate || 'no date'})`;
+
+        if (!event.trophy) add('error', 'required', `${label} has no trophy`);
+        if (!event.startDate) {
+            add('error', 'required', `${label} has no date`);
+        } else if (!ChampionshipValidator.isDate(event.startDate)) {
+            add('error', 'date', `${label}: "${event.startDate}" is not a YYYY-MM-DD date`);
+        }
+        if (event.endDate && event.endDate !== event.startDate && !ChampionshipValidator.isDate(event.endDate)) {
+            add('error', 'date', `${label}: end date "${event.endDate}" is not a YYYY-MM-DD date`);
+        } else if (event.endDate && event.startDate && event.endDate < event.startDate) {
+            add('error', 'date', `${label} ends before it starts`);
+        }
+        (event.rounds || []).forEach(round => {
+            if (round.date && !ChampionshipValidator.isDate(round.date)) {
+                add('error', 'date', `${label}: round ${round.number} date "${round.date}" is not a YYYY-MM-DD date`);
+            }
+        });
+        if (ChampionshipValidator.isDate(event.startDate) && event.startDate > new Date().toISOString().slice(0, 10)) {
+            add('warning', 'date', `${label} is dated in the future`);
+        }
+
+        if (event.trophy && trophies.length && !trophies.includes(event.trophy)) {
+            add('error', 'trophy', `${label}: "${event.trophy}" is not a known trophy`);
+        }
+        if (!event.courses || !event.courses.length) add('warning', 'required', `${label} has no course`);
+
+        const results = event.results || [];
+        if (!Model.winners(event).length) add('error', 'required', `${label} has no champion`);
+        if (Model.winners(event).some(result => result.score === null)) add('warning', 'required', `${label} has no winning score`);
+
+        const seen = new Set();
+        results.forEach(result => {
+            const players = Model.playersOf(result);
+            if (!players.length || players.some(player => !String(player || '').trim())) {
+                add('error', 'required', `${label} has a result without a player`);
+            }
+            // playersOf drops repeats, so the roster is counted as entered
+            const entered = Model.isTeam(result) ? result.roster : players;
+            players.forEach(player => {
+                const count = entered.filter(other => other === player).length;
+                if (count > 1) add('error', 'duplicate', `${label}: the team lists ${player} ${count} times`);
+                if (seen.has(player)) add('error', 'duplicate', `${label}: ${player} has more than one result`);
+                seen.add(player);
+            });
+
+            [result.score, ...(result.roundScores || [])].forEach(score => {
+                if (score !== null && score !== undefined && !Number.isFinite(score)) {
+                    add('error', 'score', `${label}: "${score}" is not a score`);
+                }
+            });
+        });
+
+        // Winning scores per round against the format's range
+        Model.winners(event).forEach(result => {
+            if (!Number.isFinite(result.score)) return;
+            const range = ChampionshipValidator.SCORE_RANGES[ChampionshipValidator.formatOf(event, result)];
+            const rounds = Math.max(1, Model.roundCount(event));
+            const perRound = result.score / rounds;
+            if (perRound < range.min || perRound > range.max) {
+                const score = rounds > 1 ? `${result.score} over ${rounds} rounds (${Math.round(perRound)} a round)` : result.score;
+                add('warning', 'score', `${label}: ${score} is outside the usual ${range.min}–${range.max} for ${ChampionshipValidator.formatOf(event, result)} play`);
+            }
+        });
+
+        return issues;
+    }
+
+    // One new or edited event against the rest: its own checks, the same
+    // date, trophy and champion already recorded, and names nobody has
+    // played under before
+    static validateEvent(event, { events = [], trophies = [] } = {}) {
+        const Model = ChampionshipValidator.model;
+        const issues = ChampionshipValidator.checkEvent(event, { trophies });
+        const others = events.filter(other => other.id !== event.id || !event.id);
+
+        const keys = new Set(ChampionshipValidator.duplicateKeys(event));
+        const duplicate = others.find(other => ChampionshipValidator.duplicateKeys(other).some(key => keys.has(key)));
+        if (duplicate) {
+            issues.push(ChampionshipValidator.issue('error', 'duplicate', [event, duplicate],
+                `${event.trophy} on ${event.startDate} is already recorded as ${duplicate.tournamentName}`));
+        }
+
+        const known = [...new Set(others.flatMap(other => other.results.flatMap(result => Model.playersOf(result))))];
+        return [...issues, ...ChampionshipValidator.checkPlayers(event, known)];
+    }
+
+    // Names in the event that are not in `known`, suggesting the closest
+    // known name. Nothing is reported while nobody is known.
+    static checkPlayers(event, known) {
+        const Model = ChampionshipValidator.model;
+        if (!known.length) return [];
+
+        return [...new Set(event.results.flatMap(result => Model.playersOf(result)))]
+            .filter(player => player && !known.includes(player))
+            .map(player => {
+                const lookalike = ChampionshipValidator.lookalike(player, known);
+                return ChampionshipValidator.issue('warning', 'player', [event], lookalike
+                    ? `${player} is not a known player; did you mean ${lookalike}?`
+                    : `${player} is not a known player`);
+            });
+    }
+
+    // Every event, plus checks across the whole set: duplicate ids and
+    // records, names that look like misspellings of another player's, and
+    // trophies whose winning score never changes
+    static validate(events, { trophies = [] } = {}) {
+        const Model = ChampionshipValidator.model;
+        const issues = events.flatMap(event => ChampionshipValidator.checkEvent(event, { trophies }));
+
+        const byId = {};
+        events.forEach(event => {
+            (byId[event.id] = byId[event.id] || []).push(event);
+        });
+        Object.values(byId).filter(group => group.length > 1).forEach(group => {
+            issues.push(ChampionshipValidator.issue('error', 'duplicate', group, `${group.length} tournaments share the id "${group[0].id}"`));
+        });
+
+        const byKey = {};
+        events.forEach(event => {
+            new Set(ChampionshipValidator.duplicateKeys(event)).forEach(key => {
+                (byKey[key] = byKey[key] || []).push(event);
+            });
+        });
+        Object.values(byKey).filter(group => group.length > 1).forEach(group => {
+            issues.push(ChampionshipValidator.issue('error', 'duplicate', group,
+                `${group[0].trophy} on ${group[0].startDate} is recorded ${group.length} times for the same champion`));
+        });
+
+        // A rarely used name close to a more common one is likely a typo
+        const counts = {};
+        events.forEach(event => {
+            new Set(event.results.flatMap(result => Model.playersOf(result))).forEach(player => {
+                counts[player] = (counts[player] || 0) + 1;
+            });
+        });
+        const byUse = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+        byUse.forEach((player, i) => {
+            const lookalike = ChampionshipValidator.lookalike(player, byUse.slice(0, i));
+            if (!lookalike) return;
+            const affected = events.filter(event => event.results.some(result => Model.playersOf(result).includes(player)));
+            issues.push(ChampionshipValidator.issue('warning', 'player', affected,
+                `"${player}" (${counts[player]}) looks like a misspelling of ${lookalike} (${counts[lookalike]})`));
+        });
+
+        const byTrophy = {};
+        events.forEach(event => {
+            const winner = Model.winners(event)[0];
+            if (winner && Number.isFinite(winner.score)) (byTrophy[event.trophy] = byTrophy[event.trophy] || []).push({ event, score: winner.score });
+        });
+        Object.entries(byTrophy).forEach(([trophy, entries]) => {
+            if (entries.length >= ChampionshipValidator.REPEATED_SCORE_MIN && entries.every(entry => entry.score === entries[0].score)) {
+                issues.push(ChampionshipValidator.issue('warning', 'score', entries.map(entry => entry.event),
+                    `Every ${trophy} winning score is ${entries[0].score} (${entries.length} tournaments); it may be a placeholder`));
+            }
+        });
+
+        return issues;
+    }
+
+    static errors(issues) {
+        return issues.filter(issue => issue.level === 'error');
+    }
+
+    static warnings(issues) {
+        return issues.filter(issue => issue.level === 'warning');
+    }
+
+    // Ids of events with at least one issue
+    static flagged(issues) {
+        return [...new Set(issues.flatMap(issue => issue.events))];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChampionshipValidator;
+}
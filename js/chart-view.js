@@ -0,0 +1,85 @@
+// Chart View
+// Draws a Chart.js chart, or, when Chart.js failed to load (offline without
+// a cached copy, or a blocked script), a plain table of the same figures in
+// place of the canvas. Either way the result has destroy(), so pages can
+// redraw without knowing which they got.
+
+class ChartView {
+    static get model() {
+        return typeof ChampionshipModel !== 'undefined' ? ChampionshipModel : require('./championship-model.js');
+    }
+
+    static get available() {
+        return typeof Chart !== 'undefined';
+    }
+
+    static create(canvas, config) {
+        if (ChartView.available) return new Chart(canvas, config);
+        return ChartView.table(canvas, config);
+    }
+
+    static formatValue(value) {
+        if (value && typeof value === 'object') value = value.y;
+        if (value === null || value === undefined || Number.isNaN(value)) return '-';
+        return typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(1) : value;
+    }
+
+    // Rows are the chart's labels, or the x values of { x, y } points when
+    // the chart has none, written as the x axis writes them; columns are the
+    // datasets
+    static rows(config) {
+        const { labels, datasets = [] } = config.data;
+        if (labels && labels.length) {
+            return labels.map((label, i) => ({ label, values: datasets.map(dataset => dataset.data[i]) }));
+        }
+
+        const scales = (config.options && config.options.scales) || {};
+        const tick = scales.x && scales.x.ticks && scales.x.ticks.callback;
+        const xs = [...new Set(datasets.flatMap(dataset => dataset.data.map(point => point.x)))].sort((a, b) => a - b);
+        return xs.map(x => ({
+            label: tick ? tick(x) : ChartView.formatValue(x),
+            values: datasets.map(dataset => (dataset.data.find(point => point.x === x) || {}).y)
+        }));
+    }
+
+    // The chart's figures as table markup; also used by the season report
+    // when there are no chart images. Labels are player and trophy names.
+    static tableHtml(config, caption = '') {
+        const datasets = config.data.datasets || [];
+        const escape = ChartView.model.escapeHtml;
+        return `
+            <table class="chart-table">
+                ${caption ? `<caption>${escape(caption)}</caption>` : ''}
+                <thead>
+                    <tr><th></th>${datasets.map(dataset => `<th>${escape(dataset.label || 'Value')}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${ChartView.rows(config).map(row => `
+                        <tr><th>${escape(row.label)}</th>${row.values.map(value => `<td>${escape(ChartView.formatValue(value))}</td>`).join('')}</tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    static table(canvas, config) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'chart-table-wrapper';
+        wrapper.innerHTML = ChartView.tableHtml(config, 'Charts are unavailable, so the figures are shown as a table');
+
+        canvas.style.display = 'none';
+        canvas.insertAdjacentElement('afterend', wrapper);
+
+        return {
+            config,
+            destroy() {
+                wrapper.remove();
+                canvas.style.display = '';
+            }
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChartView;
+}
@@ -0,0 +1,109 @@
+// Course Registry
+// Canonical course names with their aliases, location, par and
+// rating/slope, read from data/courses.json. The course field started as
+// free text, so "Pinehurst No. 1", "pinehurst #1" and "Pinehurst 1" all
+// resolve to one entry; combined strings such as "Pinehurst #3, 5" are
+// split into one course per round first. Unknown courses pass through
+// unchanged and render without details.
+
+class CourseRegistry {
+    constructor(doc = {}) {
+        this.courses = (doc.courses || []).map(entry => CourseRegistry.normalizeEntry(entry));
+        this.byKey = new Map();
+        this.courses.forEach(entry => {
+            [entry.name, ...entry.aliases].forEach(name => this.byKey.set(CourseRegistry.key(name), entry));
+        });
+    }
+
+    static get model() {
+        return typeof ChampionshipModel !== 'undefined' ? ChampionshipModel : require('./championship-model.js');
+    }
+
+    static normalizeEntry(entry) {
+        return {
+            id: CourseRegistry.model.slugify(entry.name),
+            aliases: [],
+            location: '',
+            par: null,
+            rating: null,
+            slope: null,
+            ...entry
+        };
+    }
+
+    // Comparison key: case, punctuation and "No." vs "#" do not matter
+    static key(name) {
+        return String(name || '')
+            .toLowerCase()
+            .replace(/\bno\.?\s*(?=\d)/g, '#')
+            .replace(/#\s+/g, '#')
+            .replace(/[^a-z0-9#&]+/g, ' ')
+            .trim();
+    }
+
+    // Never rejects: without the registry file course names stay as entered
+    static async load(url = './data/courses.json') {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            return new CourseRegistry(await response.json());
+        } catch (error) {
+            console.warn('Failed to load course registry:', error.message);
+            return new CourseRegistry();
+        }
+    }
+
+    // Canonical name for one course string
+    resolve(name) {
+        const entry = this.byKey.get(CourseRegistry.key(name));
+        return entry ? entry.name : String(name || '').trim();
+    }
+
+    // Canonical names for a possibly combined course string
+    resolveList(text) {
+        return CourseRegistry.model.parseCourseList(text).map(name => this.resolve(name));
+    }
+
+    get(name) {
+        return this.byKey.get(CourseRegistry.key(name)) || CourseRegistry.normalizeEntry({ name: String(name || '').trim() });
+    }
+
+    has(name) {
+        return this.byKey.has(CourseRegistry.key(name));
+    }
+
+    bySlug(slug) {
+        return this.courses.find(entry => entry.id === slug) || null;
+    }
+
+    names() {
+        return this.courses.map(entry => entry.name);
+    }
+
+    // Par, rating and slope for a course as played in one event: values
+    // recorded with the event (`courseDetails`) win over the registry's
+    detailsFor(event, course) {
+        const entry = this.get(course);
+        const recorded = (event.courseDetails || {})[course] || {};
+        const pick = key => (recorded[key] !== undefined && recorded[key] !== null ? recorded[key] : entry[key]);
+        return { course: entry.name, par: pick('par'), rating: pick('rating'), slope: pick('slope') };
+    }
+
+    // Events with every course and round course in canonical form
+    normalizeEvents(events) {
+        return events.map(event => ({
+            ...event,
+            courses: [...new Set(event.courses.flatMap(course => this.resolveList(course)))],
+            rounds: event.rounds.map(round => ({ ...round, course: round.course ? this.resolve(round.course) : round.course })),
+            ...(event.courseDetails ? {
+                courseDetails: Object.fromEntries(Object.entries(event.courseDetails).map(([course, details]) => [this.resolve(course), details]))
+            } : {})
+        }));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CourseRegistry;
+}
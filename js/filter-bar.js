@@ -0,0 +1,131 @@
+// Filter Bar
+// The year/trophy/player/course controls shared by the dashboard and the
+// analytics page. The bar owns the URL: every change is written back to the
+// query string and passed to `onChange`, and links marked
+// data-keep-filter carry the same query to the other pages.
+
+class FilterBar {
+    constructor({ container, trophies = null, onChange = () => {} }) {
+        this.container = container;
+        this.trophies = trophies;
+        this.onChange = onChange;
+        this.filter = ChampionshipFilter.fromQuery(window.location.search);
+        this.events = [];
+        this.optionsKey = null;
+    }
+
+    // Rebuild the controls only when the available options change, so open
+    // menus stay open while the user ticks boxes
+    setEvents(events) {
+        this.events = events;
+        const options = ChampionshipFilter.options(events);
+        if (this.trophies) options.trophies = this.trophies.sort(options.trophies);
+
+        const key = JSON.stringify(options);
+        if (key !== this.optionsKey) {
+            this.optionsKey = key;
+            this.render(options);
+        }
+        this.updateSummary();
+    }
+
+    render(options) {
+        if (!this.container) return;
+
+        const yearOptions = selected => options.years.map(year => `
+            <option value="${year}" ${selected === year ? 'selected' : ''}>${year}</option>
+        `).join('');
+
+        this.container.innerHTML = `
+            <div class="filter-bar">
+                <label class="filter-range">From
+                    <select data-filter="from"><option value="">Any</option>${yearOptions(this.filter.from)}</select>
+                </label>
+                <label class="filter-range">To
+                    <select data-filter="to"><option value="">Any</option>${yearOptions(this.filter.to)}</select>
+                </label>
+                ${this.renderMenu('trophies', 'Trophies', options.trophies)}
+                ${this.renderMenu('players', 'Players', options.players)}
+                ${this.renderMenu('courses', 'Courses', options.courses)}
+                <span class="filter-summary"></span>
+                <button type="button" class="btn-link" data-filter-clear>Clear</button>
+            </div>
+        `;
+
+        this.container.querySelectorAll('select[data-filter]').forEach(select => {
+            select.addEventListener('change', () => {
+                this.filter[select.dataset.filter] = select.value ? parseInt(select.value, 10) : null;
+                this.changed();
+            });
+        });
+
+        this.container.querySelectorAll('input[data-filter]').forEach(input => {
+            input.addEventListener('change', () => {
+                const values = this.filter[input.dataset.filter];
+                this.filter[input.dataset.filter] = input.checked
+                    ? [...values, input.value]
+                    : values.filter(value => value !== input.value);
+                this.changed();
+            });
+        });
+
+        this.container.querySelector('[data-filter-clear]').addEventListener('click', () => this.clear());
+    }
+
+    renderMenu(key, label, values) {
+        return `
+            <details class="filter-menu">
+                <summary data-filter-label="${key}">${label}</summary>
+                <div class="filter-options">
+                    ${values.map(value => `
+                        <label>
+                            <input type="checkbox" data-filter="${key}" value="${ChampionshipModel.escapeHtml(value)}" ${this.filter[key].includes(value) ? 'checked' : ''}>
+                            ${ChampionshipModel.escapeHtml(value)}
+                        </label>
+                    `).join('')}
+                </div>
+            </details>
+        `;
+    }
+
+    clear() {
+        this.filter = ChampionshipFilter.empty();
+        this.optionsKey = null;
+        this.setEvents(this.events);
+        this.changed();
+    }
+
+    changed() {
+        const query = ChampionshipFilter.toQuery(this.filter);
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+        this.updateSummary();
+        this.onChange(this.filter);
+    }
+
+    updateSummary() {
+        if (!this.container) return;
+
+        const labels = { trophies: 'Trophies', players: 'Players', courses: 'Courses' };
+        this.container.querySelectorAll('[data-filter-label]').forEach(summary => {
+            const key = summary.dataset.filterLabel;
+            const count = this.filter[key].length;
+            summary.textContent = count ? `${labels[key]} (${count})` : labels[key];
+        });
+
+        const summary = this.container.querySelector('.filter-summary');
+        const active = ChampionshipFilter.isActive(this.filter);
+        if (summary) {
+            const shown = ChampionshipFilter.apply(this.events, this.filter).length;
+            summary.textContent = active ? `Showing ${shown} of ${this.events.length} tournaments` : `All ${this.events.length} tournaments`;
+        }
+
+        const clear = this.container.querySelector('[data-filter-clear]');
+        if (clear) clear.disabled = !active;
+
+        const query = ChampionshipFilter.toQuery(this.filter);
+        document.querySelectorAll('a[data-keep-filter]').forEach(link => {
+            if (!link.dataset.baseHref) link.dataset.baseHref = link.getAttribute('href');
+            link.setAttribute('href', query ? `${link.dataset.baseHref}?${query}` : link.dataset.baseHref);
+        });
+    }
+}
@@ -0,0 +1,163 @@
+// Handicap
+// A World Handicap System style index per player, rebuilt from individual
+// rounds: rounds logged by hand plus every individual gross round recorded
+// with a tournament. Each round's differential needs the course rating and
+// slope; rounds without them are kept but do not count. The index averages
+// the best 8 differentials of the last 20, with the WHS allowances for
+// players who have fewer rounds, and is rounded to one decimal.
+
+class Handicap {
+    static get model() {
+        return typeof ChampionshipModel !== 'undefined' ? ChampionshipModel : require('./championship-model.js');
+    }
+
+    static get scoring() {
+        return typeof Scoring !== 'undefined' ? Scoring : require('./scoring.js');
+    }
+
+    static get WINDOW() {
+        return 20;
+    }
+
+    static get MAX_INDEX() {
+        return 54;
+    }
+
+    // Differentials counted and the adjustment applied, by number of rounds
+    // in the window (WHS rule 5.2a)
+    static allowance(count) {
+        if (count < 3) return null;
+        if (count === 3) return { best: 1, adjustment: -2 };
+        if (count === 4) return { best: 1, adjustment: -1 };
+        if (count === 5) return { best: 1, adjustment: 0 };
+        if (count === 6) return { best: 2, adjustment: -1 };
+        if (count <= 8) return { best: 2, adjustment: 0 };
+        if (count <= 11) return { best: 3, adjustment: 0 };
+        if (count <= 14) return { best: 4, adjustment: 0 };
+        if (count <= 16) return { best: 5, adjustment: 0 };
+        if (count <= 18) return { best: 6, adjustment: 0 };
+        if (count === 19) return { best: 7, adjustment: 0 };
+        return { best: 8, adjustment: 0 };
+    }
+
+    static normalizeRound(round) {
+        const number = value => {
+            const parsed = parseFloat(value);
+            return isNaN(parsed) ? null : parsed;
+        };
+        const normalized = {
+            player: String(round.player || '').trim(),
+            date: round.date,
+            course: String(round.course || '').trim(),
+            score: number(round.score),
+            rating: number(round.rating),
+            slope: number(round.slope),
+            source: round.source || 'logged'
+        };
+        if (round.id !== undefined) normalized.id = round.id;
+        if (round.eventId !== undefined) normalized.eventId = round.eventId;
+        return normalized;
+    }
+
+    // Individual gross rounds from tournament results, the whole field
+    // included. Team results and net events say nothing about a player's
+    // own game, so they are skipped.
+    static roundsFromEvents(events, courses) {
+        const Model = Handicap.model;
+        const rounds = [];
+
+        events
+            .filter(event => event.scoring !== 'net')
+            .forEach(event => {
+                event.results
+                    .filter(result => !Model.isTeam(result) && result.player)
+                    .forEach(result => {
+                        Handicap.scoring.resultRounds(event, result, courses).forEach(round => {
+                            const date = (event.rounds[round.number - 1] || {}).date || event.startDate;
+                            rounds.push(Handicap.normalizeRound({
+                                player: result.player,
+                                date,
+                                course: round.course,
+                                score: round.score,
+                                rating: round.rating,
+                                slope: round.slope,
+                                source: 'event',
+                                eventId: event.id
+                            }));
+                        });
+                    });
+            });
+
+        return rounds;
+    }
+
+    // Logged and tournament rounds together, with differentials, per player
+    // in date order
+    static roundsByPlayer(loggedRounds, events, courses) {
+        const byPlayer = {};
+        [...loggedRounds.map(round => Handicap.normalizeRound(round)), ...Handicap.roundsFromEvents(events, courses)]
+            .filter(round => round.player && round.date && round.score !== null)
+            .forEach(round => {
+                if (!byPlayer[round.player]) byPlayer[round.player] = [];
+                byPlayer[round.player].push({
+                    ...round,
+                    differential: Handicap.scoring.differential(round.score, round.rating, round.slope)
+                });
+            });
+
+        Object.values(byPlayer).forEach(rounds => rounds.sort((a, b) => new Date(a.date) - new Date(b.date)));
+        return byPlayer;
+    }
+
+    // Index from rounds in date order: the last 20 rated rounds, best
+    // differentials averaged. Null with fewer than 3 rated rounds.
+    static index(rounds) {
+        const recent = rounds.filter(round => round.differential !== null).slice(-Handicap.WINDOW);
+        const allowance = Handicap.allowance(recent.length);
+        if (!allowance) return null;
+
+        const counted = [...recent].sort((a, b) => a.differential - b.differential).slice(0, allowance.best);
+        const average = counted.reduce((sum, round) => sum + round.differential, 0) / counted.length;
+        const value = Math.min(Handicap.MAX_INDEX, Math.round((average + allowance.adjustment) * 10) / 10);
+
+        return { value, rounds: recent.length, counted };
+    }
+
+    // The index after each rated round, for history lines
+    static history(rounds) {
+        const history = [];
+        rounds.forEach((round, i) => {
+            if (round.differential === null) return;
+            const index = Handicap.index(rounds.slice(0, i + 1));
+            if (index) history.push({ date: round.date, value: index.value });
+        });
+        return history;
+    }
+
+    // Current index and history per player with at least one index
+    static summary(loggedRounds, events, courses) {
+        const summary = {};
+        Object.entries(Handicap.roundsByPlayer(loggedRounds, events, courses)).forEach(([player, rounds]) => {
+            const history = Handicap.history(rounds);
+            if (!history.length) return;
+            summary[player] = {
+                player,
+                current: history[history.length - 1].value,
+                rounds: rounds.length,
+                rated: rounds.filter(round => round.differential !== null).length,
+                history
+            };
+        });
+        return summary;
+    }
+
+    static format(value) {
+        if (value === null || value === undefined) return '-';
+        // Plus handicaps are written with a leading "+"
+        return value < 0 ? `+${Math.abs(value).toFixed(1)}` : value.toFixed(1);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Handicap;
+}
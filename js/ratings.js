@@ -0,0 +1,151 @@
+// Ratings
+// Elo ratings computed event by event in date order. Each event is treated
+// as a round robin: every entrant plays every other, and a finish above
+// someone counts as a win against them, a shared position as a draw.
+// Teammates do not play each other. Only recorded entrants are rated: an
+// event with fewer than two entries (just its winner, or a single team) is
+// skipped and not counted, and anyone missing from an event is taken not
+// to have played. Each event depends only
+// on the ones before it, so adding a newer event extends the ratings
+// without recomputing the ones before it.
+
+class Ratings {
+    static get model() {
+        return typeof ChampionshipModel !== 'undefined' ? ChampionshipModel : require('./championship-model.js');
+    }
+
+    static get INITIAL() {
+        return 1500;
+    }
+
+    static get K() {
+        return 32;
+    }
+
+    static initial() {
+        return { ratings: {}, history: {}, upsets: [], lastDate: null, events: 0 };
+    }
+
+    // Chance that a player rated `a` finishes above one rated `b`
+    static expected(a, b) {
+        return 1 / (1 + Math.pow(10, (b - a) / 400));
+    }
+
+    static compareEvents(a, b) {
+        return new Date(a.startDate) - new Date(b.startDate) || String(a.id).localeCompare(String(b.id));
+    }
+
+    static compute(events) {
+        return [...events]
+            .sort(Ratings.compareEvents)
+            .reduce((state, event) => Ratings.apply(state, event), Ratings.initial());
+    }
+
+    // Add one event to existing ratings. Events dated before the last one
+    // applied change everything after them, so those recompute from scratch.
+    static add(state, event, events) {
+        if (state.lastDate && new Date(event.startDate) < new Date(state.lastDate)) {
+            return Ratings.compute(events);
+        }
+        return Ratings.apply(state, event);
+    }
+
+    // Recorded entrants with their finishing position; unplaced results
+    // rank below every placed one
+    static field(event) {
+        const Model = Ratings.model;
+        const entrants = new Map();
+
+        event.results.forEach((result, index) => {
+            const position = Number.isInteger(result.position) ? result.position : event.results.length + 1;
+            Model.playersOf(result).forEach(player => {
+                if (!entrants.has(player)) entrants.set(player, { player, position, entry: index });
+            });
+        });
+
+        return [...entrants.values()];
+    }
+
+    // Score for `a` against `b`, or null when the game tells us nothing
+    static outcome(a, b) {
+        if (a.entry === b.entry) return null;
+        if (a.position === b.position) return 0.5;
+        return a.position < b.position ? 1 : 0;
+    }
+
+    static apply(state, event) {
+        const field = Ratings.field(event);
+        if (new Set(field.map(entrant => entrant.entry)).size < 2) return state;
+
+        const ratings = { ...state.ratings };
+        const rating = player => (ratings[player] === undefined ? Ratings.INITIAL : ratings[player]);
+        const before = Object.fromEntries(field.map(entrant => [entrant.player, rating(entrant.player)]));
+        const history = { ...state.history };
+
+        const deltas = {};
+        field.forEach(a => {
+            deltas[a.player] = field.reduce((sum, b) => {
+                const score = a === b ? null : Ratings.outcome(a, b);
+                return score === null ? sum : sum + score - Ratings.expected(before[a.player], before[b.player]);
+            }, 0) * Ratings.K / (field.length - 1);
+        });
+
+        field.forEach(entrant => {
+            ratings[entrant.player] = before[entrant.player] + deltas[entrant.player];
+            history[entrant.player] = [...(history[entrant.player] || []), {
+                date: event.startDate,
+                eventId: event.id,
+                rating: ratings[entrant.player],
+                change: deltas[entrant.player]
+            }];
+        });
+
+        const upset = Ratings.upsetIn(event, field, before);
+        const upsets = upset ? [...state.upsets, upset] : state.upsets;
+
+        return { ratings, history, upsets, lastDate: event.startDate, events: state.events + 1 };
+    }
+
+    // A winner rated below the best player they beat, measured by the gap
+    // and the winner's chance of finishing above that player
+    static upsetIn(event, field, before) {
+        const winners = field.filter(entrant => entrant.position === 1);
+        const beaten = field.filter(entrant => entrant.position > 1);
+        if (!winners.length || !beaten.length) return null;
+
+        const favourite = beaten.reduce((best, entrant) => (before[entrant.player] > before[best.player] ? entrant : best));
+        const winnerRating = winners.reduce((sum, entrant) => sum + before[entrant.player], 0) / winners.length;
+        const gap = before[favourite.player] - winnerRating;
+        if (gap <= 0) return null;
+
+        return {
+            event,
+            winners: winners.map(entrant => entrant.player),
+            winnerRating,
+            favourite: favourite.player,
+            favouriteRating: before[favourite.player],
+            gap,
+            chance: Ratings.expected(winnerRating, before[favourite.player])
+        };
+    }
+
+    // Current ratings, highest first, with the change from each player's
+    // last event
+    static table(state) {
+        return Object.entries(state.ratings)
+            .map(([player, rating]) => {
+                const history = state.history[player] || [];
+                const last = history[history.length - 1];
+                return { player, rating, change: last ? last.change : 0, events: history.length, lastDate: last ? last.date : null };
+            })
+            .sort((a, b) => b.rating - a.rating);
+    }
+
+    static biggestUpsets(state, limit = 5) {
+        return [...state.upsets].sort((a, b) => b.gap - a.gap).slice(0, limit);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Ratings;
+}
@@ -0,0 +1,118 @@
+// Scoring
+// Puts scores on a common footing. Raw scores mix 18-hole totals, 72-hole
+// totals and scrambles, so this module expresses them relative to par and,
+// where a course rating and slope are known, as World Handicap System style
+// score differentials: (113 / slope) x (score - rating), per 18-hole round.
+// Par, rating and slope come from the course registry, overridden by any
+// values recorded with the event. Unknown values give null, never a guess.
+
+class Scoring {
+    static get model() {
+        return typeof ChampionshipModel !== 'undefined' ? ChampionshipModel : require('./championship-model.js');
+    }
+
+    static differential(score, rating, slope) {
+        if (score === null || !rating || !slope) return null;
+        return Math.round((113 / slope) * (score - rating) * 10) / 10;
+    }
+
+    // The rounds an event was played over, each with its course details.
+    // Single-round events at one course count as one round; events listing
+    // several courses without rounds cannot be split and give none.
+    static roundsOf(event, courses) {
+        if (event.rounds.length) {
+            return event.rounds.map(round => ({ number: round.number, ...courses.detailsFor(event, round.course) }));
+        }
+        if (event.courses.length === 1) {
+            return [{ number: 1, ...courses.detailsFor(event, event.courses[0]) }];
+        }
+        return [];
+    }
+
+    // Round-by-round scores for one result, with to-par and differential
+    // where known. Multi-round totals without round scores give no rounds.
+    static resultRounds(event, result, courses) {
+        const rounds = Scoring.roundsOf(event, courses);
+        const scores = event.rounds.length ? (result.roundScores || []) : [result.score];
+        const team = Scoring.model.isTeam(result);
+
+        return rounds
+            .map((round, i) => ({ ...round, score: scores[i] === undefined ? null : scores[i] }))
+            .filter(round => round.score !== null)
+            .map(round => ({
+                ...round,
+                toPar: round.par ? round.score - round.par : null,
+                // Differentials are individual measures; scrambles get none
+                differential: team ? null : Scoring.differential(round.score, round.rating, round.slope)
+            }));
+    }
+
+    // Whole-event score relative to par, or null unless every round's par
+    // is known
+    static scoreToPar(event, result, courses) {
+        if (!result || result.score === null) return null;
+        const rounds = Scoring.roundsOf(event, courses);
+        if (!rounds.length || rounds.some(round => !round.par)) return null;
+        return result.score - rounds.reduce((sum, round) => sum + round.par, 0);
+    }
+
+    static formatToPar(toPar) {
+        if (toPar === null || toPar === undefined) return '';
+        if (toPar === 0) return 'E';
+        return toPar > 0 ? `+${toPar}` : `${toPar}`;
+    }
+
+    // Individual gross winning rounds with a known par, best first. Ties on
+    // par fall back to the differential, then the earlier date.
+    static bestWinningRounds(events, courses) {
+        const Model = Scoring.model;
+        const rounds = [];
+
+        events.filter(event => event.scoring !== 'net').forEach(event => {
+            Model.winners(event)
+                .filter(result => !Model.isTeam(result))
+                .forEach(result => {
+                    Scoring.resultRounds(event, result, courses)
+                        .filter(round => round.toPar !== null)
+                        .forEach(round => rounds.push({ event, player: result.player, ...round }));
+                });
+        });
+
+        const differential = round => (round.differential === null ? Infinity : round.differential);
+        return rounds.sort((a, b) => a.toPar - b.toPar ||
+            differential(a) - differential(b) ||
+            new Date(a.event.startDate) - new Date(b.event.startDate));
+    }
+
+    // Winning gross score to par per round over time, one series per trophy,
+    // for the trend lines. Net events and events whose par is unknown are
+    // left out.
+    static winningTrends(events, courses, trophyOf = trophy => trophy) {
+        const Model = Scoring.model;
+        const series = {};
+
+        events
+            .filter(event => event.scoring !== 'net')
+            .sort((a, b) => new Date(a.startDate) - new Date(b.startDate))
+            .forEach(event => {
+                const winner = Model.winners(event)[0];
+                const toPar = Scoring.scoreToPar(event, winner, courses);
+                if (toPar === null) return;
+
+                const trophy = trophyOf(event.trophy);
+                if (!series[trophy]) series[trophy] = [];
+                series[trophy].push({
+                    event,
+                    date: event.startDate,
+                    toPar,
+                    perRound: toPar / Model.roundCount(event)
+                });
+            });
+
+        return series;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Scoring;
+}
@@ -0,0 +1,261 @@
+// Tournament Import
+// Turns CSV and TSV exports (e.g. from the group-chat spreadsheets) into
+// events. Columns are mapped onto the add-tournament form fields, each row
+// is validated and checked for duplicates against the existing events, and
+// the result is a preview the dashboard shows before anything is merged.
+// One row is one event; a roster column makes it a team win. Converted rows
+// also go through the validator: its errors reject a row, its warnings are
+// shown alongside it.
+
+class TournamentImport {
+    // The model is a global in the browser and a CommonJS module in Node
+    static get model() {
+        return typeof ChampionshipModel !== 'undefined' ? ChampionshipModel : require('./championship-model.js');
+    }
+
+    static get validator() {
+        return typeof ChampionshipValidator !== 'undefined' ? ChampionshipValidator : require('./championship-validator.js');
+    }
+
+    // Form fields a column can map to, with header names recognised for each
+    static get FIELDS() {
+        return [
+            { key: 'date', label: 'Date', required: true, aliases: ['date', 'start date', 'tournament date', 'when'] },
+            { key: 'trophy', label: 'Trophy', required: true, aliases: ['trophy', 'trophy type', 'cup'] },
+            { key: 'champion', label: 'Champion', required: true, aliases: ['champion', 'winner', 'player', 'name', 'champion name', 'team'] },
+            { key: 'roster', label: 'Team Roster', required: false, aliases: ['roster', 'team roster', 'team members', 'players'] },
+            { key: 'tournamentName', label: 'Tournament Name', required: false, aliases: ['tournament', 'tournament name', 'event', 'event name'] },
+            { key: 'course', label: 'Course', required: false, aliases: ['course', 'course name', 'courses'] },
+            { key: 'score', label: 'Score', required: false, aliases: ['score', 'winning score', 'total', 'total score'] },
+            { key: 'scoring', label: 'Gross/Net', required: false, aliases: ['scoring', 'gross/net', 'gross or net'] },
+            { key: 'trip', label: 'Trip', required: false, aliases: ['trip', 'trip name', 'season'] },
+            { key: 'history', label: 'Notes', required: false, aliases: ['notes', 'history', 'tournament notes', 'comments'] }
+        ];
+    }
+
+    // Tabs win over commas when the header line has any
+    static detectDelimiter(text) {
+        const header = String(text).split(/\r?\n/)[0] || '';
+        if (header.includes('\t')) return '\t';
+        if (header.split(';').length > header.split(',').length) return ';';
+        return ',';
+    }
+
+    // RFC 4180 style parsing: quoted cells may hold delimiters, newlines and
+    // doubled quotes. Blank lines are dropped. Returns { headers, rows }
+    // where each row is { line, cells }.
+    static parse(text, delimiter = TournamentImport.detectDelimiter(text)) {
+        const source = String(text).replace(/^\uFEFF/, '');
+        const records = [];
+        let cells = [];
+        let cell = '';
+        let quoted = false;
+        let line = 1;
+        let recordLine = 1;
+
+        const endRecord = () => {
+            cells.push(cell);
+            if (cells.some(value => value.trim() !== '')) {
+                records.push({ line: recordLine, cells: cells.map(value => value.trim()) });
+            }
+            cells = [];
+            cell = '';
+        };
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') line++;
+                    cell += char;
+                }
+            } else if (char === '"' && cell.trim() === '') {
+                quoted = true;
+                cell = '';
+            } else if (char === delimiter) {
+                cells.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                endRecord();
+                line++;
+                recordLine = line;
+            } else {
+                cell += char;
+            }
+        }
+        endRecord();
+
+        const [header, ...rows] = records;
+        return {
+            headers: header ? header.cells : [],
+            rows: rows
+        };
+    }
+
+    // { field: columnIndex } for every field whose header is recognised
+    static guessMapping(headers) {
+        const normalized = headers.map(header => header.toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim());
+        const mapping = {};
+        const taken = new Set();
+
+        TournamentImport.FIELDS.forEach(field => {
+            const index = normalized.findIndex((header, i) => !taken.has(i) && field.aliases.includes(header));
+            if (index !== -1) {
+                mapping[field.key] = index;
+                taken.add(index);
+            }
+        });
+        return mapping;
+    }
+
+    // Accepts 2024-05-31, 5/31/2024 and 5/31/24; returns YYYY-MM-DD or null
+    static parseDate(value) {
+        const text = String(value || '').trim();
+        let year;
+        let month;
+        let day;
+
+        let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        if (match) {
+            [, year, month, day] = match.map(Number);
+        } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/))) {
+            [, month, day, year] = match.map(Number);
+            if (year < 100) year += year < 70 ? 2000 : 1900;
+        } else {
+            return null;
+        }
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+        return date.toISOString().slice(0, 10);
+    }
+
+    // Matches a trophy name against the known ones, ignoring case
+    static matchTrophy(value, knownTrophies) {
+        const text = String(value || '').trim().toLowerCase();
+        return knownTrophies.find(name => name.toLowerCase() === text) || null;
+    }
+
+    static duplicateKey(date, trophy, player) {
+        return [date, trophy, String(player).trim().toLowerCase()].join('|');
+    }
+
+    // Duplicate keys for every winner of the existing events
+    static existingKeys(events) {
+        const keys = new Map();
+        events.forEach(event => {
+            TournamentImport.model.winnerNames(event).forEach(player => {
+                keys.set(TournamentImport.duplicateKey(event.startDate, event.trophy, player), event);
+            });
+        });
+        return keys;
+    }
+
+    // Validate and convert mapped rows. Each entry is { line, values, event,
+    // errors, warnings, duplicateOf, status } where status is 'new',
+    // 'duplicate' or 'error'; duplicateOf is the existing event (or earlier
+    // line) it repeats.
+    static prepare(rows, mapping, { events = [], trophies = [] } = {}) {
+        const Model = TournamentImport.model;
+        const Validator = TournamentImport.validator;
+        const knownTrophies = [...new Set([...trophies, ...events.map(event => event.trophy)])];
+        const knownPlayers = [...new Set(events.flatMap(event => event.results.flatMap(result => Model.playersOf(result))))];
+        const existing = TournamentImport.existingKeys(events);
+        const seen = new Map();
+
+        return rows.map(row => {
+            const values = {};
+            TournamentImport.FIELDS.forEach(field => {
+                values[field.key] = mapping[field.key] === undefined ? '' : (row.cells[mapping[field.key]] || '');
+            });
+
+            // A team win may leave the champion column blank
+            const errors = [];
+            TournamentImport.FIELDS
+                .filter(field => field.required && !values[field.key])
+                .filter(field => !(field.key === 'champion' && values.roster))
+                .forEach(field => {
+                    errors.push(`${field.label} is missing`);
+                });
+
+            const date = TournamentImport.parseDate(values.date);
+            if (values.date && !date) errors.push(`"${values.date}" is not a date`);
+
+            const trophy = TournamentImport.matchTrophy(values.trophy, knownTrophies);
+            if (values.trophy && !trophy) errors.push(`Unknown trophy "${values.trophy}"`);
+
+            const score = Model.parseScore(values.score);
+            if (values.score && (score === null || !/^\d+$/.test(values.score))) {
+                errors.push(`"${values.score}" is not a score`);
+            } else if (score !== null && score <= 0) {
+                errors.push('Score must be positive');
+            }
+
+            const scoring = values.scoring.trim().toLowerCase() || 'gross';
+            if (!['gross', 'net'].includes(scoring)) errors.push(`"${values.scoring}" is not gross or net`);
+
+            const roster = Model.parseRoster(values.roster.replace(/[;/]/g, ','));
+            if (errors.length) {
+                return { line: row.line, values, event: null, errors, warnings: [], duplicateOf: null, status: 'error' };
+            }
+
+            const event = Model.createEvent({
+                tournamentName: values.tournamentName || `${trophy} ${date.slice(0, 4)}`,
+                champion: values.champion,
+                roster: roster.length ? roster : null,
+                date: date,
+                trophy: trophy,
+                course: values.course,
+                score: values.score,
+                scoring,
+                trip: values.trip,
+                history: values.history
+            });
+
+            const normalized = Model.normalizeEvent(event);
+            const issues = [
+                ...Validator.checkEvent(normalized, { trophies: knownTrophies }),
+                ...Validator.checkPlayers(normalized, knownPlayers)
+            ];
+            const warnings = Validator.warnings(issues).map(issue => issue.message);
+            const invalid = Validator.errors(issues).map(issue => issue.message);
+            if (invalid.length) {
+                return { line: row.line, values, event: null, errors: invalid, warnings, duplicateOf: null, status: 'error' };
+            }
+
+            let duplicateOf = null;
+            Model.winnerNames(event).forEach(player => {
+                const key = TournamentImport.duplicateKey(date, trophy, player);
+                duplicateOf = duplicateOf || existing.get(key) || seen.get(key) || null;
+            });
+            Model.winnerNames(event).forEach(player => {
+                const key = TournamentImport.duplicateKey(date, trophy, player);
+                if (!seen.has(key)) seen.set(key, { line: row.line });
+            });
+
+            return { line: row.line, values, event, errors, warnings, duplicateOf, status: duplicateOf ? 'duplicate' : 'new' };
+        });
+    }
+
+    // Counts for the preview header
+    static summarize(entries) {
+        const counts = { new: 0, duplicate: 0, error: 0 };
+        entries.forEach(entry => {
+            counts[entry.status]++;
+        });
+        return counts;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TournamentImport;
+}
@@ -0,0 +1,211 @@
+// Tournament Store
+// IndexedDB persistence for locally added, edited and deleted events, an
+// append-only change log for undo, and a queue of pending changes. The
+// service worker flushes the queue to the sync endpoint during background
+// sync; pages fall back to flushing directly when it is missing. Individual
+// rounds logged for handicaps are kept alongside, on this device only.
+
+class TournamentStore {
+    constructor(dbName = 'golf-dashboard') {
+        this.dbName = dbName;
+        this.dbVersion = 3;
+        this.db = null;
+    }
+
+    static get SYNC_TAG() {
+        return 'background-sync-data';
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('events')) {
+                    db.createObjectStore('events', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('pendingChanges')) {
+                    db.createObjectStore('pendingChanges', { keyPath: 'seq', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains('settings')) {
+                    db.createObjectStore('settings', { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains('changeLog')) {
+                    db.createObjectStore('changeLog', { keyPath: 'seq', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains('rounds')) {
+                    db.createObjectStore('rounds', { keyPath: 'id', autoIncrement: true });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Run one transaction and resolve with the value returned by `work`
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = [].concat(storeNames).map(name => tx.objectStore(name));
+            let result;
+
+            Promise.resolve(work(...stores)).then(value => {
+                result = value;
+            }, reject);
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    static request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async getLocalEvents() {
+        return this.transaction('events', 'readonly', events => TournamentStore.request(events.getAll()));
+    }
+
+    // Apply one change locally, append it to the change log and queue it for
+    // the sync endpoint. `before`/`after` are whole events; a null `after`
+    // deletes the event, which is stored as a tombstone so it stays hidden
+    // when the bundled data still has it. Resolves with the logged entry.
+    async recordChange({ type, eventId, before, after, revertsSeq }) {
+        const stores = ['events', 'changeLog', 'pendingChanges'];
+        return this.transaction(stores, 'readwrite', async (events, changeLog, pending) => {
+            const createdAt = new Date().toISOString();
+            const entry = { type, eventId, before: before || null, after: after || null, createdAt };
+            if (revertsSeq !== undefined) entry.revertsSeq = revertsSeq;
+
+            events.put(after || { id: eventId, deleted: true });
+            pending.add(after
+                ? { type: 'upsert', eventId, event: after, createdAt }
+                : { type: 'delete', eventId, createdAt });
+
+            entry.seq = await TournamentStore.request(changeLog.add(entry));
+            return entry;
+        });
+    }
+
+    async getChangeLog() {
+        return this.transaction('changeLog', 'readonly', changeLog => TournamentStore.request(changeLog.getAll()));
+    }
+
+    // The most recent change that has not been reverted yet, skipping the
+    // reverts themselves so repeated undo keeps walking back through history
+    static lastUndoableChange(log) {
+        const reverted = new Set(log.filter(entry => entry.revertsSeq !== undefined).map(entry => entry.revertsSeq));
+        return [...log]
+            .reverse()
+            .find(entry => entry.type !== 'revert' && !reverted.has(entry.seq)) || null;
+    }
+
+    async getRounds() {
+        return this.transaction('rounds', 'readonly', rounds => TournamentStore.request(rounds.getAll()));
+    }
+
+    // Resolves with the saved round, including its new id
+    async saveRound(round) {
+        return this.transaction('rounds', 'readwrite', async rounds => {
+            const id = await TournamentStore.request(rounds.put(round));
+            return { ...round, id };
+        });
+    }
+
+    async deleteRound(id) {
+        return this.transaction('rounds', 'readwrite', rounds => {
+            rounds.delete(id);
+        });
+    }
+
+    async getPendingChanges() {
+        return this.transaction('pendingChanges', 'readonly', pending => TournamentStore.request(pending.getAll()));
+    }
+
+    async clearPendingChanges(seqs) {
+        return this.transaction('pendingChanges', 'readwrite', pending => {
+            seqs.forEach(seq => pending.delete(seq));
+        });
+    }
+
+    async getSetting(key) {
+        const entry = await this.transaction('settings', 'readonly', settings => TournamentStore.request(settings.get(key)));
+        return entry ? entry.value : null;
+    }
+
+    async setSetting(key, value) {
+        return this.transaction('settings', 'readwrite', settings => {
+            settings.put({ key, value });
+        });
+    }
+
+    getSyncEndpoint() {
+        return this.getSetting('syncEndpoint');
+    }
+
+    setSyncEndpoint(url) {
+        return this.setSetting('syncEndpoint', url || null);
+    }
+
+    // POST every pending change to the sync endpoint and drop the ones it
+    // accepted. Throws on network or server errors so background sync retries.
+    async flush() {
+        const endpoint = await this.getSyncEndpoint();
+        const changes = await this.getPendingChanges();
+
+        if (!endpoint || changes.length === 0) {
+            return { sent: 0, pending: changes.length };
+        }
+
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ changes })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Sync endpoint responded ${response.status}`);
+        }
+
+        const body = await response.json().catch(() => ({}));
+        const accepted = Array.isArray(body.accepted) ? body.accepted : changes.map(change => change.seq);
+        await this.clearPendingChanges(accepted);
+
+        return { sent: accepted.length, pending: changes.length - accepted.length };
+    }
+
+    // Ask the service worker to flush in the background, or flush now when
+    // Background Sync is unavailable
+    async requestSync() {
+        if (typeof navigator !== 'undefined' && 'serviceWorker' in navigator && navigator.serviceWorker.controller) {
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.sync) {
+                await registration.sync.register(TournamentStore.SYNC_TAG);
+                return { queued: true };
+            }
+        }
+
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            return { queued: true };
+        }
+
+        return this.flush();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TournamentStore;
+}
@@ -0,0 +1,142 @@
+// Trophy Registry
+// Display and lineage details for each trophy, read from data/trophies.json:
+// icon, subtitle, color and active/retired status per trophy, plus lineage
+// links recording which trophies merged, split or succeeded one another
+// (COW + UCOW -> COW/UCOW). Trophies joined by any chain of links form a
+// family. Trophies missing from the registry render with generic defaults.
+
+class TrophyRegistry {
+    constructor(doc = {}) {
+        this.trophies = (doc.trophies || []).map(entry => TrophyRegistry.normalizeEntry(entry));
+        this.byName = new Map(this.trophies.map(entry => [entry.name, entry]));
+        this.lineage = (doc.lineage || []).map(link => TrophyRegistry.normalizeLink(link));
+    }
+
+    static get model() {
+        return typeof ChampionshipModel !== 'undefined' ? ChampionshipModel : require('./championship-model.js');
+    }
+
+    static normalizeEntry(entry) {
+        return {
+            id: TrophyRegistry.model.slugify(entry.name),
+            icon: '🏆',
+            subtitle: 'Championship Trophy',
+            color: '#9E9E9E',
+            status: 'active',
+            ...entry
+        };
+    }
+
+    // { type: 'merge' | 'split' | 'succession', from: [names], to: [names] }
+    static normalizeLink(link) {
+        return {
+            type: link.type || 'succession',
+            from: [].concat(link.from || []),
+            to: [].concat(link.to || []),
+            date: link.date || null,
+            note: link.note || ''
+        };
+    }
+
+    // Never rejects: without the registry file every trophy uses defaults
+    static async load(url = './data/trophies.json') {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            return new TrophyRegistry(await response.json());
+        } catch (error) {
+            console.warn('Failed to load trophy registry:', error.message);
+            return new TrophyRegistry();
+        }
+    }
+
+    get(name) {
+        return this.byName.get(name) || TrophyRegistry.normalizeEntry({ name });
+    }
+
+    has(name) {
+        return this.byName.has(name);
+    }
+
+    names() {
+        return this.trophies.map(entry => entry.name);
+    }
+
+    active() {
+        return this.trophies.filter(entry => entry.status === 'active');
+    }
+
+    retired() {
+        return this.trophies.filter(entry => entry.status !== 'active');
+    }
+
+    colorFor(name) {
+        return this.get(name).color;
+    }
+
+    // Trophies `name` was merged, split or renamed into
+    successorsOf(name) {
+        return [...new Set(this.lineage.filter(link => link.from.includes(name)).flatMap(link => link.to))];
+    }
+
+    // Trophies that were folded into `name`, e.g. COW/UCOW -> [COW, UCOW]
+    predecessorsOf(name) {
+        return [...new Set(this.lineage.filter(link => link.to.includes(name)).flatMap(link => link.from))];
+    }
+
+    // Group trophies connected by lineage links. Each family is named after
+    // its current trophies (members with no successor), members in registry
+    // order. Extra names (e.g. unregistered trophies found in the data) get
+    // families of their own.
+    families(extraNames = []) {
+        const names = [...new Set([...this.names(), ...this.lineage.flatMap(link => [...link.from, ...link.to]), ...extraNames])];
+        const parent = new Map(names.map(name => [name, name]));
+        const find = name => (parent.get(name) === name ? name : find(parent.get(name)));
+        this.lineage.forEach(link => {
+            const [first, ...rest] = [...link.from, ...link.to];
+            rest.forEach(name => parent.set(find(name), find(first)));
+        });
+
+        const groups = new Map();
+        names.forEach(name => {
+            const root = find(name);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(name);
+        });
+
+        return [...groups.values()].map(group => {
+            const members = this.sort(group);
+            const heads = members.filter(name => this.successorsOf(name).length === 0);
+            return {
+                name: (heads.length ? heads : members).join(' / '),
+                members: members,
+                links: this.lineage
+                    .filter(link => link.from.some(name => members.includes(name)))
+                    .sort((a, b) => String(a.date).localeCompare(String(b.date)))
+            };
+        }).sort((a, b) => this.rank(a.members[0]) - this.rank(b.members[0]));
+    }
+
+    // Name of the family a trophy belongs to; unrelated trophies are their own
+    familyOf(name) {
+        const family = this.families().find(entry => entry.members.includes(name));
+        return family ? family.name : name;
+    }
+
+    // Position in the registry; unregistered names sort last
+    rank(name) {
+        const index = this.names().indexOf(name);
+        return index === -1 ? this.trophies.length : index;
+    }
+
+    // Registry order first, then any unregistered names in the order given
+    sort(names) {
+        return [...names].sort((a, b) => this.rank(a) - this.rank(b));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrophyRegistry;
+}
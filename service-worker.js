@@ -1,22 +1,64 @@
 // Golf Dashboard Service Worker
 // Provides offline functionality and performance optimization
 
-const CACHE_NAME = 'golf-dashboard-v1.2';
-const STATIC_CACHE = 'golf-static-v1.2';
-const DATA_CACHE = 'golf-data-v1.2';
+// Pending-changes queue shared with the pages
+importScripts('/js/tournament-store.js');
 
-// Files to cache for offline functionality
+// Set by tools/build-hash.js from the files below; a new hash means new
+// caches and a waiting worker the dashboard offers to switch to
+const BUILD_HASH = '0cba1bc65a';
+const CACHE_NAME = `golf-dashboard-${BUILD_HASH}`;
+const STATIC_CACHE = `golf-static-${BUILD_HASH}`;
+const DATA_CACHE = `golf-data-${BUILD_HASH}`;
+
+// The app shell: every page, the scripts and styles they load, and the
+// manifest and its icons. Install fails, and the browser retries it later,
+// unless all of these are cached.
 const STATIC_FILES = [
     '/',
     '/index.html',
     '/app.js',
+    '/vendor/chart.js/chart.umd.min.js',
+    '/js/chart-view.js',
+    '/js/championship-model.js',
+    '/js/championship-stats.js',
+    '/js/championship-data.js',
+    '/js/trophy-registry.js',
+    '/js/course-registry.js',
+    '/js/scoring.js',
+    '/js/handicap.js',
+    '/js/ratings.js',
+    '/js/championship-trips.js',
+    '/js/championship-validator.js',
+    '/js/tournament-import.js',
+    '/js/championship-export.js',
+    '/js/championship-filter.js',
+    '/js/filter-bar.js',
+    '/js/tournament-store.js',
     '/enhanced-styles.css',
-    '/data/championships.json',
     '/our-story.html',
     '/analytics.html',
-    // External CDN resources
-    'https://cdn.jsdelivr.net/npm/chart.js',
-    'https://cdn.jsdelivr.net/npm/date-fns@2.29.3/index.min.js'
+    '/manifest.webmanifest',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png',
+    '/icons/icon-maskable-512.png',
+    '/icons/apple-touch-icon.png',
+    '/icons/badge-96.png'
+];
+
+// Names for the pages listed on the offline page
+const PAGE_TITLES = {
+    '/index.html': 'Dashboard',
+    '/analytics.html': 'Analytics',
+    '/our-story.html': 'Our Story'
+};
+
+// Data is fetched network first; these are cached at install so the first
+// offline visit has something to show
+const DATA_FILES = [
+    '/data/championships.json',
+    '/data/trophies.json',
+    '/data/courses.json'
 ];
 
 // Install event - cache static resources
@@ -25,25 +67,35 @@ self.addEventListener('install', (event) => {
     
     event.waitUntil(
         Promise.all([
-            // Cache static files
-            caches.open(STATIC_CACHE).then((cache) => {
+            // Cache the app shell
+            caches.open(STATIC_CACHE).then(async (cache) => {
                 console.log('Service Worker: Caching static files');
-                return cache.addAll(STATIC_FILES.map(url => {
+                await cache.addAll(STATIC_FILES.map(url => {
                     return new Request(url, { cache: 'reload' });
                 }));
+                return cache;
             }),
             
-            // Initialize data cache
-            caches.open(DATA_CACHE).then((cache) => {
-                console.log('Service Worker: Data cache initialized');
+            // Cache data files
+            caches.open(DATA_CACHE).then(async (cache) => {
+                console.log('Service Worker: Caching data files');
+                await Promise.all(DATA_FILES.map(async (url) => {
+                    try {
+                        const response = await fetch(new Request(url, { cache: 'reload' }));
+                        if (response.ok) await cache.put(url, stampCachedAt(response));
+                    } catch (error) {
+                        console.warn('Service Worker: Could not cache', url, error);
+                    }
+                }));
                 return cache;
             })
         ]).then(() => {
+            // An update waits until the page sends SKIP_WAITING, so open
+            // tabs are not switched to new code mid-session
             console.log('Service Worker: Installation complete');
-            // Force activation of new service worker
-            return self.skipWaiting();
         }).catch((error) => {
             console.error('Service Worker: Installation failed', error);
+            throw error;
         })
     );
 });
@@ -116,8 +168,7 @@ function isStaticResource(request) {
            request.url.includes('.jpeg') ||
            request.url.includes('.gif') ||
            request.url.includes('.svg') ||
-           request.url.includes('.ico') ||
-           request.url.includes('cdn.jsdelivr.net');
+           request.url.includes('.ico');
 }
 
 // Check if request is for navigation (HTML pages)
@@ -136,10 +187,15 @@ async function handleDataRequest(request) {
         // Try network first
         const networkResponse = await fetch(request);
         
+        // The page's conditional request was answered: nothing to cache
+        if (networkResponse.status === 304) {
+            return networkResponse;
+        }
+        
         if (networkResponse.ok) {
             // Cache successful response
             const cache = await caches.open(DATA_CACHE);
-            cache.put(request, networkResponse.clone());
+            cache.put(request, stampCachedAt(networkResponse.clone()));
             console.log('Service Worker: Data cached', request.url);
             return networkResponse;
         }
@@ -149,11 +205,11 @@ async function handleDataRequest(request) {
     } catch (error) {
         console.log('Service Worker: Network failed, trying cache', request.url);
         
-        // Fallback to cache
+        // Fallback to cache, marked so the page can say how old it is
         const cachedResponse = await caches.match(request);
         if (cachedResponse) {
             console.log('Service Worker: Serving from cache', request.url);
-            return cachedResponse;
+            return withHeaders(cachedResponse, { 'X-Served-From': 'cache' });
         }
         
         // If no cache, return offline response
@@ -198,9 +254,10 @@ async function handleNavigationRequest(request) {
         const networkResponse = await fetch(request);
         
         if (networkResponse.ok) {
-            // Cache successful navigation response
+            // Cache successful navigation response, once per page whatever
+            // its filter query string
             const cache = await caches.open(STATIC_CACHE);
-            cache.put(request, networkResponse.clone());
+            cache.put(new URL(request.url).pathname, networkResponse.clone());
             return networkResponse;
         }
         
@@ -209,18 +266,13 @@ async function handleNavigationRequest(request) {
     } catch (error) {
         console.log('Service Worker: Navigation network failed, trying cache', request.url);
         
-        // Fallback to cached version
-        const cachedResponse = await caches.match(request);
+        // Fallback to cached version; the page reads its filters from the URL
+        const cachedResponse = await caches.match(request, { ignoreSearch: true });
         if (cachedResponse) {
             return cachedResponse;
         }
         
-        // Fallback to index.html for SPA behavior
-        const indexResponse = await caches.match('/index.html');
-        if (indexResponse) {
-            return indexResponse;
-        }
-        
+        // Otherwise the offline page, listing what is cached
         return createOfflineResponse(request);
     }
 }
@@ -249,116 +301,226 @@ async function handleGenericRequest(request) {
     }
 }
 
-// Create offline response
-function createOfflineResponse(request) {
-    if (request.headers.get('accept').includes('text/html')) {
-        // Return offline HTML page
-        return new Response(`
-            <!DOCTYPE html>
-            <html lang="en">
-            <head>
-                <meta charset="UTF-8">
-                <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <title>Offline - Golf Dashboard</title>
-                <style>
-                    body {
-                        font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-                        background: linear-gradient(135deg, #1e3c72 0%, #2a5298 100%);
-                        color: white;
-                        display: flex;
-                        justify-content: center;
-                        align-items: center;
-                        min-height: 100vh;
-                        margin: 0;
-                        text-align: center;
-                    }
-                    .offline-container {
-                        background: rgba(255, 255, 255, 0.1);
-                        backdrop-filter: blur(10px);
-                        padding: 40px;
-                        border-radius: 15px;
-                        box-shadow: 0 8px 32px rgba(0,0,0,0.3);
-                    }
-                    .offline-icon {
-                        font-size: 64px;
-                        margin-bottom: 20px;
-                    }
-                    h1 {
-                        margin-bottom: 20px;
-                        color: #fff;
-                    }
-                    p {
-                        margin-bottom: 30px;
-                        opacity: 0.9;
-                    }
-                    .retry-btn {
-                        background: #4CAF50;
-                        color: white;
-                        border: none;
-                        padding: 12px 24px;
-                        border-radius: 8px;
-                        cursor: pointer;
-                        font-size: 16px;
-                        font-weight: 600;
-                        transition: background 0.3s ease;
-                    }
-                    .retry-btn:hover {
-                        background: #45a049;
-                    }
-                </style>
-            </head>
-            <body>
-                <div class="offline-container">
-                    <div class="offline-icon">🌐</div>
-                    <h1>You're Offline</h1>
-                    <p>It looks like you're not connected to the internet.<br>
-                    Some features may not be available until you reconnect.</p>
-                    <button class="retry-btn" onclick="window.location.reload()">
-                        Try Again
-                    </button>
-                </div>
-            </body>
-            </html>
-        `, {
-            status: 200,
-            headers: {
-                'Content-Type': 'text/html',
-                'Cache-Control': 'no-cache'
-            }
-        });
-    }
-    
-    if (request.headers.get('accept').includes('application/json')) {
-        // Return empty JSON for data requests
-        return new Response('{"error": "Offline", "data": []}', {
-            status: 200,
-            headers: {
-                'Content-Type': 'application/json',
-                'Cache-Control': 'no-cache'
-            }
-        });
-    }
-    
-    // Generic offline response
-    return new Response('Offline', {
+// Copy of a response with extra headers
+function withHeaders(response, headers) {
+    const merged = new Headers(response.headers);
+    Object.entries(headers).forEach(([name, value]) => merged.set(name, value));
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: merged
+    });
+}
+
+// Record when a data response was cached
+function stampCachedAt(response) {
+    return withHeaders(response, { 'X-Cached-At': new Date().toISOString() });
+}
+
+// What this device can show offline: cached pages, and data files with the
+// time each was saved
+async function describeCache() {
+    const staticCache = await caches.open(STATIC_CACHE);
+    const pages = (await staticCache.keys())
+        .map(request => new URL(request.url).pathname)
+        .filter(path => PAGE_TITLES[path]);
+
+    const dataCache = await caches.open(DATA_CACHE);
+    const snapshots = await Promise.all((await dataCache.keys()).map(async (request) => {
+        const response = await dataCache.match(request);
+        return {
+            path: new URL(request.url).pathname,
+            cachedAt: response ? response.headers.get('X-Cached-At') : null
+        };
+    }));
+
+    return { pages: [...new Set(pages)], snapshots };
+}
+
+// What kind of resource a request wants; the Accept header may be missing
+function responseType(request) {
+    const accept = request.headers.get('accept') || '';
+    const path = new URL(request.url).pathname;
+
+    if (request.mode === 'navigate' || request.destination === 'document' || path.endsWith('.html') || accept.includes('text/html')) return 'html';
+    if (isDataRequest(request) || accept.includes('application/json')) return 'json';
+    if (request.destination === 'script' || path.endsWith('.js')) return 'script';
+    if (request.destination === 'style' || path.endsWith('.css')) return 'style';
+    return 'text';
+}
+
+// Offline responses are 503s marked with X-Offline, so the pages can tell
+// them from a real answer: pages get the offline page, data requests a JSON
+// body with `offline: true`, scripts and styles an empty body of their type
+async function createOfflineResponse(request) {
+    const type = responseType(request);
+    const headers = {
+        'Cache-Control': 'no-cache',
+        'X-Offline': '1'
+    };
+    const offline = (body, contentType) => new Response(body, {
         status: 503,
         statusText: 'Service Unavailable',
-        headers: {
-            'Content-Type': 'text/plain',
-            'Cache-Control': 'no-cache'
-        }
+        headers: { ...headers, 'Content-Type': contentType }
     });
+
+    if (type === 'html') {
+        return offline(renderOfflinePage(await describeCache()), 'text/html; charset=utf-8');
+    }
+
+    if (type === 'json') {
+        return offline(JSON.stringify({
+            offline: true,
+            error: 'Offline',
+            url: request.url,
+            message: 'This data is not cached on this device'
+        }), 'application/json');
+    }
+
+    if (type === 'script') return offline('/* Offline */', 'application/javascript');
+    if (type === 'style') return offline('/* Offline */', 'text/css');
+
+    return offline('Offline', 'text/plain');
+}
+
+function renderOfflinePage({ pages, snapshots }) {
+    const pageList = pages.length
+        ? pages.map(path => `<li><a href="${path}">${PAGE_TITLES[path]}</a></li>`).join('')
+        : '<li>No pages are cached yet</li>';
+    const snapshotList = snapshots.length
+        ? snapshots.map(({ path, cachedAt }) => `
+            <li>${path.split('/').pop()}<span>${cachedAt ? `saved ${new Date(cachedAt).toLocaleString()}` : 'saved earlier'}</span></li>
+        `).join('')
+        : '<li>No data is cached yet</li>';
+
+    return `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Offline - Golf Dashboard</title>
+            <style>
+                body {
+                    font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                    background: linear-gradient(135deg, #1e3c72 0%, #2a5298 100%);
+                    color: white;
+                    display: flex;
+                    justify-content: center;
+                    align-items: center;
+                    min-height: 100vh;
+                    margin: 0;
+                    text-align: center;
+                }
+                .offline-container {
+                    background: rgba(255, 255, 255, 0.1);
+                    backdrop-filter: blur(10px);
+                    padding: 40px;
+                    border-radius: 15px;
+                    box-shadow: 0 8px 32px rgba(0,0,0,0.3);
+                    max-width: 480px;
+                }
+                .offline-icon {
+                    font-size: 64px;
+                    margin-bottom: 20px;
+                }
+                h1 {
+                    margin-bottom: 20px;
+                    color: #fff;
+                }
+                h2 {
+                    font-size: 16px;
+                    margin: 20px 0 10px;
+                }
+                p {
+                    margin-bottom: 30px;
+                    opacity: 0.9;
+                }
+                ul {
+                    list-style: none;
+                    padding: 0;
+                    margin: 0 0 20px;
+                    text-align: left;
+                }
+                li {
+                    padding: 8px 12px;
+                    border-bottom: 1px solid rgba(255, 255, 255, 0.2);
+                }
+                li span {
+                    float: right;
+                    opacity: 0.8;
+                    font-size: 13px;
+                }
+                a {
+                    color: #fff;
+                    font-weight: 600;
+                }
+                .retry-btn {
+                    background: #4CAF50;
+                    color: white;
+                    border: none;
+                    padding: 12px 24px;
+                    border-radius: 8px;
+                    cursor: pointer;
+                    font-size: 16px;
+                    font-weight: 600;
+                    transition: background 0.3s ease;
+                }
+                .retry-btn:hover {
+                    background: #45a049;
+                }
+            </style>
+        </head>
+        <body>
+            <div class="offline-container">
+                <div class="offline-icon">🌐</div>
+                <h1>You're Offline</h1>
+                <p>This page isn't saved on this device. These are, and work
+                without a connection:</p>
+                <h2>Pages</h2>
+                <ul>${pageList}</ul>
+                <h2>Data</h2>
+                <ul>${snapshotList}</ul>
+                <button class="retry-btn" onclick="window.location.reload()">
+                    Try Again
+                </button>
+            </div>
+        </body>
+        </html>
+    `;
 }
 
 // Background sync for data updates
 self.addEventListener('sync', (event) => {
     console.log('Service Worker: Background sync triggered', event.tag);
     
-    if (event.tag === 'background-sync-data') {
-        event.waitUntil(syncData());
+    if (event.tag === TournamentStore.SYNC_TAG) {
+        // Push queued local changes before refreshing the data cache; a
+        // failed push rejects so the browser retries the sync later
+        event.waitUntil(flushPendingChanges().finally(syncData));
     }
 });
 
+// Send locally queued tournament changes to the configured sync endpoint
+async function flushPendingChanges() {
+    const store = new TournamentStore();
+    const result = await store.flush();
+    console.log('Service Worker: Flushed pending changes', result);
+
+    if (result.sent > 0) {
+        const clients = await self.clients.matchAll();
+        clients.forEach(client => {
+            client.postMessage({
+                type: 'CHANGES_SYNCED',
+                sent: result.sent,
+                message: `${result.sent} tournament change${result.sent === 1 ? '' : 's'} synced`
+            });
+        });
+    }
+
+    return result;
+}
+
 // Sync data in background
 async function syncData() {
     try {
@@ -367,7 +529,7 @@ async function syncData() {
         const response = await fetch('/data/championships.json');
         if (response.ok) {
             const cache = await caches.open(DATA_CACHE);
-            await cache.put('/data/championships.json', response);
+            await cache.put('/data/championships.json', stampCachedAt(response));
             console.log('Service Worker: Background data sync complete');
             
             // Notify clients about data update
@@ -390,8 +552,8 @@ self.addEventListener('push', (event) => {
     
     const options = {
         body: event.data ? event.data.text() : 'New tournament data available!',
-        icon: '/favicon.ico',
-        badge: '/favicon.ico',
+        icon: '/icons/icon-192.png',
+        badge: '/icons/badge-96.png',
         vibrate: [100, 50, 100],
         data: {
             dateOfArrival: Date.now(),
@@ -401,12 +563,12 @@ self.addEventListener('push', (event) => {
             {
                 action: 'explore',
                 title: 'View Dashboard',
-                icon: '/favicon.ico'
+                icon: '/icons/icon-192.png'
             },
             {
                 action: 'close',
                 title: 'Close',
-                icon: '/favicon.ico'
+                icon: '/icons/icon-192.png'
             }
         ]
     };
@@ -479,4 +641,3 @@ self.addEventListener('unhandledrejection', (event) => {
 });
 
 console.log('Service Worker: Script loaded successfully');
-Add service worker for offline functionality
@@ -0,0 +1,116 @@
+// ChampionshipModel: legacy winner rows to v2 events, and v2 documents
+// normalized as the pages load them
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ChampionshipModel = require('../js/championship-model.js');
+
+const row = (name, score, extra = {}) => ({
+    name,
+    date: '2019-03-06',
+    trophy: 'Paultz',
+    course: 'Mill Creek',
+    score,
+    history: '',
+    tournamentName: '2019 Paultz Championship',
+    ...extra
+});
+
+test('legacy rows for one tournament become one event', () => {
+    const { version, events } = ChampionshipModel.normalize([
+        row('John Bart', 70),
+        row('Vince Frattaroli', 70, { date: '2020-03-06', tournamentName: '2020 Paultz Championship' })
+    ]);
+
+    assert.equal(version, 2);
+    assert.deepEqual(events.map(event => event.id), ['2019-03-06-paultz', '2020-03-06-paultz']);
+    assert.deepEqual(events[0].courses, ['Mill Creek']);
+    assert.deepEqual(events[0].results.map(result => [result.player, result.score, result.position]), [['John Bart', 70, 1]]);
+});
+
+test('co-winners on the same score become one team', () => {
+    const [event] = ChampionshipModel.normalize([
+        row('John Bart', 62),
+        row('Vince Frattaroli', 62),
+        row('Jim Flanagan', 62)
+    ]).events;
+
+    assert.equal(event.results.length, 1);
+    assert.deepEqual(event.results[0].roster, ['John Bart', 'Vince Frattaroli', 'Jim Flanagan']);
+    assert.equal(ChampionshipModel.entrantName(event.results[0]), 'John Bart / Vince Frattaroli / Jim Flanagan');
+});
+
+test('co-winners on different scores stay separate results', () => {
+    const [event] = ChampionshipModel.normalize([row('John Bart', 70), row('Jim Flanagan', 72)]).events;
+    assert.deepEqual(event.results.map(result => [result.player, result.position, result.tied]), [
+        ['John Bart', 1, true],
+        ['Jim Flanagan', 1, true]
+    ]);
+});
+
+test('repeated rows for one player are kept as recorded', () => {
+    const [event] = ChampionshipModel.normalize([row('John Bart', 62), row('John Bart', 62), row('John Bart', 62)]).events;
+
+    assert.deepEqual(event.results[0].roster, ['John Bart', 'John Bart', 'John Bart']);
+    assert.deepEqual(ChampionshipModel.playersOf(event.results[0]), ['John Bart']);
+});
+
+test('a combined Pinehurst course becomes one round per course', () => {
+    const [event] = ChampionshipModel.normalize([
+        row('Jim Flanagan', 290, { trophy: 'Petty Cup', course: 'Pinehurst #3, 5, 6 & 1', tournamentName: '2019 Petty Cup' })
+    ]).events;
+
+    assert.deepEqual(event.rounds.map(round => [round.number, round.course]), [
+        [1, 'Pinehurst #3'], [2, 'Pinehurst #5'], [3, 'Pinehurst #6'], [4, 'Pinehurst #1']
+    ]);
+    assert.deepEqual(event.courses, ['Pinehurst #3', 'Pinehurst #5', 'Pinehurst #6', 'Pinehurst #1']);
+    assert.deepEqual(event.results[0].roundScores, [null, null, null, null]);
+    assert.equal(event.results[0].score, 290);
+    assert.equal(ChampionshipModel.averagePerRound(event, event.results[0]), 72.5);
+    assert.deepEqual(ChampionshipModel.parseCourseList('River Bend Golf & CC'), ['River Bend Golf & CC']);
+});
+
+test('v2 events get positions from scores and totals from round scores', () => {
+    const { events } = ChampionshipModel.normalize({
+        version: 2,
+        events: [{
+            tournamentName: '2024 Petty Cup Championship',
+            trophy: 'Petty Cup',
+            startDate: '2024-09-08',
+            rounds: [
+                { number: 2, date: '2024-09-09', course: 'Pinehurst No. 2' },
+                { number: 1, date: '2024-09-08', course: 'Pinehurst No. 4' }
+            ],
+            results: [
+                { player: 'Jim Flanagan', roundScores: [75, 76] },
+                { player: 'John Bart', score: 149 },
+                { player: 'Vince Frattaroli', roundScores: [74, '77'], score: 140 },
+                { player: 'Mike Mayers' }
+            ]
+        }]
+    });
+    const [event] = events;
+
+    assert.equal(event.id, '2024-09-08-petty-cup');
+    assert.deepEqual(event.courses, ['Pinehurst No. 4', 'Pinehurst No. 2']);
+    assert.equal(event.endDate, '2024-09-09');
+    assert.equal(event.scoring, 'gross');
+    assert.deepEqual(event.results.map(result => [result.player, result.score, result.position, result.tied]), [
+        ['John Bart', 149, 1, false],
+        ['Jim Flanagan', 151, 2, true],
+        ['Vince Frattaroli', 151, 2, true],
+        ['Mike Mayers', null, null, false]
+    ]);
+});
+
+test('escapes names for markup', () => {
+    assert.equal(ChampionshipModel.escapeHtml('<img src=x onerror="alert(\'1\')"> & co'),
+        '&lt;img src=x onerror=&quot;alert(&#39;1&#39;)&quot;&gt; &amp; co');
+    assert.equal(ChampionshipModel.escapeHtml(null), '');
+    assert.equal(ChampionshipModel.escapeHtml(72), '72');
+});
+
+test('rejects data that is neither shape', () => {
+    assert.throws(() => ChampionshipModel.normalize({ tournaments: [] }), /Unrecognized championship data format/);
+});
@@ -0,0 +1,82 @@
+// ChampionshipStats against a small fixture: Ann wins Cup A four times in
+// two runs, Bob interrupts in 2022 and won the Old Cup it succeeded, and
+// Ann and Cal win the only team event
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ChampionshipModel = require('../js/championship-model.js');
+const ChampionshipStats = require('../js/championship-stats.js');
+
+const { events } = ChampionshipModel.normalize(require('./fixtures/championships.json'));
+const ids = list => list.map(event => event.id);
+
+test('leaderboard ranks by titles, then runner-up finishes', () => {
+    assert.deepEqual(ChampionshipStats.leaderboard(events), [
+        { name: 'Ann', total: 5, solo: 4, team: 1, runnerUps: 2 },
+        { name: 'Bob', total: 2, solo: 2, team: 0, runnerUps: 3 },
+        { name: 'Cal', total: 1, solo: 0, team: 1, runnerUps: 1 }
+    ]);
+});
+
+test('a team win counts once on the team leaderboard', () => {
+    assert.deepEqual(ChampionshipStats.teamLeaderboard(events), [
+        { name: 'Ann / Cal', roster: ['Ann', 'Cal'], titles: 1, trophies: ['Cup B'] }
+    ]);
+});
+
+test('streaks count consecutive stagings back from the latest', () => {
+    const ann = ChampionshipStats.playerProfile(events, 'Ann', new Date('2025-05-01'));
+    assert.deepEqual(ann.streaks, [
+        { trophy: 'Cup A', current: 2, longest: 2 },
+        { trophy: 'Cup B', current: 1, longest: 1 }
+    ]);
+    assert.deepEqual(ann.currentDrought, { days: 365, since: '2024-05-01' });
+
+    const bob = ChampionshipStats.playerProfile(events, 'Bob');
+    assert.deepEqual(bob.streaks, [
+        { trophy: 'Old Cup', current: 1, longest: 1 },
+        { trophy: 'Cup A', current: 0, longest: 1 }
+    ]);
+});
+
+test('record book', () => {
+    const book = ChampionshipStats.recordBook(events);
+
+    assert.deepEqual(book.consecutiveTitles.map(run => [run.player, run.trophy, ids(run.events)]), [
+        ['Ann', 'Cup A', ['2020-05-01-cup-a', '2021-05-01-cup-a']],
+        ['Ann', 'Cup A', ['2023-05-01-cup-a', '2024-05-01-cup-a']]
+    ]);
+    assert.deepEqual(book.longestGaps.slice(0, 2).map(gap => [gap.player, gap.days]), [['Bob', 1096], ['Ann', 730]]);
+    assert.deepEqual(book.lowestScores.map(entry => [entry.trophy, entry.score, entry.winners]), [
+        ['Old Cup', 74, ['Bob']],
+        ['Cup A', 68, ['Ann']],
+        ['Cup B', 60, ['Ann / Cal']]
+    ]);
+    assert.deepEqual(book.mostTitlesInYear.map(entry => [entry.player, entry.year, entry.count]), [['Ann', '2023', 2]]);
+    assert.deepEqual(book.firstTimeWinners.map(entry => [entry.year, entry.winners.map(winner => winner.player)]), [
+        ['2023', ['Cal']],
+        ['2020', ['Ann']],
+        ['2019', ['Bob']]
+    ]);
+});
+
+test('lineage joins reigns across a succession', () => {
+    const family = {
+        members: ['Old Cup', 'Cup A'],
+        links: [{ type: 'succession', from: ['Old Cup'], to: ['Cup A'], date: '2020-05-01' }]
+    };
+    const timeline = ChampionshipStats.lineageTimeline(events, family);
+
+    // The link sorts ahead of the reign that starts on the same day
+    assert.deepEqual(timeline.map(entry => entry.kind === 'link'
+        ? ['link', entry.date]
+        : [entry.trophy, entry.holders, entry.from, entry.to, entry.wins]), [
+        ['Old Cup', ['Bob'], '2019-05-01', '2019-05-01', 1],
+        ['link', '2020-05-01'],
+        ['Cup A', ['Ann'], '2020-05-01', '2021-05-01', 2],
+        ['Cup A', ['Bob'], '2022-05-01', '2022-05-01', 1],
+        ['Cup A', ['Ann'], '2023-05-01', '2024-05-01', 2]
+    ]);
+    assert.deepEqual(timeline[2].eventIds, ['2020-05-01-cup-a', '2021-05-01-cup-a']);
+});
@@ -0,0 +1,96 @@
+// ChampionshipValidator against the recorded data, where the 2019 Paultz
+// roster lists John Bart three times, and against small hand-made events
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ChampionshipModel = require('../js/championship-model.js');
+const ChampionshipValidator = require('../js/championship-validator.js');
+const TrophyRegistry = require('../js/trophy-registry.js');
+
+const trophies = new TrophyRegistry(require('../data/trophies.json')).names();
+const { events } = ChampionshipModel.normalize(require('../data/championships.json'));
+const summary = issues => issues.map(issue => [issue.level, issue.check, issue.events, issue.message]);
+
+const event = (fields) => ({
+    ...ChampionshipModel.normalizeEvent({
+        tournamentName: '2025 Paultz Championship',
+        trophy: 'Paultz',
+        startDate: '2025-03-06',
+        courses: ['Mill Creek'],
+        ...fields
+    }),
+    id: fields.id || '2025-03-06-paultz'
+});
+
+test('the recorded data reports the triple John Bart roster and nothing else wrong', () => {
+    const copy = structuredClone(events);
+    const issues = ChampionshipValidator.validate(events, { trophies });
+
+    assert.deepEqual(summary(ChampionshipValidator.errors(issues)), [
+        ['error', 'duplicate', ['2019-03-06-paultz'], '2019 Paultz Championship (2019-03-06): the team lists John Bart 3 times']
+    ]);
+    assert.deepEqual(summary(ChampionshipValidator.warnings(issues)).map(([level, check, , message]) => [level, check, message]), [
+        ['warning', 'score', 'Every Paultz winning score is 62 (4 tournaments); it may be a placeholder']
+    ]);
+
+    // Reporting leaves the roster as recorded
+    assert.deepEqual(events, copy);
+    assert.deepEqual(events.find(e => e.id === '2019-03-06-paultz').results[0].roster, ['John Bart', 'John Bart', 'John Bart']);
+});
+
+test('repeated legacy rows are reported, not merged away', () => {
+    const row = { name: 'John Bart', date: '2019-03-06', trophy: 'Paultz', course: 'Mill Creek', score: 62, tournamentName: '2019 Paultz Championship' };
+    const legacy = ChampionshipModel.normalize([row, row, row]).events;
+
+    assert.deepEqual(summary(ChampionshipValidator.validate(legacy, { trophies })), [
+        ['error', 'duplicate', ['2019-03-06-paultz'], '2019 Paultz Championship (2019-03-06): the team lists John Bart 3 times']
+    ]);
+});
+
+test('a player with two results is reported', () => {
+    const twice = event({ results: [{ player: 'Ann', score: 70 }, { player: 'Ann', score: 74 }] });
+    assert.deepEqual(summary(ChampionshipValidator.checkEvent(twice, { trophies })), [
+        ['error', 'duplicate', ['2025-03-06-paultz'], '2025 Paultz Championship (2025-03-06): Ann has more than one result']
+    ]);
+});
+
+test('winning scores are checked per round', () => {
+    const rounds = [1, 2, 3, 4].map(number => ({ number, date: null, course: 'Pinehurst No. 2' }));
+    const fourRounds = event({ trophy: 'Petty Cup', rounds, results: [{ player: 'Jim Flanagan', score: 303 }] });
+    const oneRound = event({ trophy: 'Petty Cup', results: [{ player: 'Jim Flanagan', score: 303 }] });
+    const scramble = event({ results: [{ roster: ['Ann', 'Bob'], score: 85 }] });
+
+    assert.deepEqual(ChampionshipValidator.checkEvent(fourRounds, { trophies }), []);
+    assert.deepEqual(ChampionshipValidator.checkEvent(oneRound, { trophies }).map(issue => issue.message), [
+        '2025 Paultz Championship (2025-03-06): 303 is outside the usual 60–130 for individual play'
+    ]);
+    assert.deepEqual(ChampionshipValidator.checkEvent(scramble, { trophies }).map(issue => issue.message), [
+        '2025 Paultz Championship (2025-03-06): 85 is outside the usual 50–80 for team play'
+    ]);
+});
+
+test('required fields, dates and trophies', () => {
+    const broken = event({ trophy: 'Paultz Cup', startDate: '2025-02-30', courses: [], results: [{ player: ' ', score: 'E' }] });
+
+    assert.deepEqual(ChampionshipValidator.checkEvent(broken, { trophies }).map(issue => [issue.level, issue.check, issue.message]), [
+        ['error', 'date', '2025 Paultz Championship (2025-02-30): "2025-02-30" is not a YYYY-MM-DD date'],
+        ['error', 'trophy', '2025 Paultz Championship (2025-02-30): "Paultz Cup" is not a known trophy'],
+        ['warning', 'required', '2025 Paultz Championship (2025-02-30) has no course'],
+        ['error', 'required', '2025 Paultz Championship (2025-02-30) has no champion'],
+        ['error', 'required', '2025 Paultz Championship (2025-02-30) has a result without a player']
+    ]);
+});
+
+test('a new event is checked against the recorded ones', () => {
+    const latest = events.find(e => e.id === '2025-09-08-petty-cup');
+    const again = event({ trophy: 'Petty Cup', startDate: '2025-09-08', results: [{ player: 'Jim Flanigan', score: 72 }] });
+    const repeat = event({ trophy: 'Petty Cup', startDate: '2025-09-08', results: [{ player: latest.results[0].player, score: 72 }] });
+
+    assert.deepEqual(ChampionshipValidator.validateEvent(again, { events, trophies }).map(issue => issue.message), [
+        'Jim Flanigan is not a known player; did you mean Jim Flanagan?'
+    ]);
+    assert.deepEqual(ChampionshipValidator.validateEvent(repeat, { events, trophies }).map(issue => [issue.level, issue.check, issue.message]), [
+        ['error', 'duplicate', 'Petty Cup on 2025-09-08 is already recorded as 2025 Petty Cup Championship']
+    ]);
+});
@@ -0,0 +1,124 @@
+// The dev server's sync stand-in, driven over HTTP and through
+// TournamentStore.flush() as the pages and service worker use it
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+
+const server = require('../tools/dev-server.js');
+const TournamentStore = require('../js/tournament-store.js');
+
+let base;
+
+test.before(() => new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+        base = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+const post = (body) => fetch(`${base}/api/sync`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+});
+
+const event = {
+    id: '2026-05-01-paultz',
+    tournamentName: '2026 Paultz Championship',
+    trophy: 'Paultz',
+    startDate: '2026-05-01',
+    results: [{ player: 'John Bart', score: 64, position: 1 }]
+};
+
+test('accepts well-formed changes and lists them', async () => {
+    const response = await post({
+        changes: [
+            { seq: 1, type: 'upsert', eventId: event.id, event },
+            { seq: 2, type: 'delete', eventId: '2019-03-06-paultz' }
+        ]
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { accepted: [1, 2] });
+
+    const { changes } = await (await fetch(`${base}/api/sync`)).json();
+    const received = changes.filter(change => [1, 2].includes(change.seq));
+    assert.deepEqual(received.map(change => change.type), ['upsert', 'delete']);
+    assert.ok(received.every(change => change.receivedAt));
+});
+
+test('accepts only the changes it can apply', async () => {
+    const response = await post({
+        changes: [
+            { seq: 3, type: 'upsert', eventId: event.id },
+            { seq: 4, type: 'upsert', event },
+            { seq: 5, type: 'upsert', eventId: event.id, event }
+        ]
+    });
+    assert.deepEqual(await response.json(), { accepted: [5] });
+});
+
+test('rejects bodies that are not a change list', async () => {
+    const invalid = await post('{"changes":');
+    assert.equal(invalid.status, 400);
+    assert.deepEqual(await invalid.json(), { error: 'Invalid JSON' });
+
+    const missing = await post({ events: [] });
+    assert.equal(missing.status, 400);
+
+    const method = await fetch(`${base}/api/sync`, { method: 'PUT' });
+    assert.equal(method.status, 405);
+});
+
+test('answers the CORS preflight with an empty 204', async () => {
+    const response = await fetch(`${base}/api/sync`, { method: 'OPTIONS' });
+    assert.equal(response.status, 204);
+    assert.equal(response.headers.get('access-control-allow-methods'), 'GET, POST, OPTIONS');
+    assert.equal(await response.text(), '');
+});
+
+test('flush() sends the pending queue and clears what was accepted', async () => {
+    const store = new TournamentStore();
+    const pending = [
+        { seq: 10, type: 'upsert', eventId: event.id, event },
+        { seq: 11, type: 'upsert', eventId: event.id }
+    ];
+    let cleared = null;
+    store.getSyncEndpoint = async () => `${base}/api/sync`;
+    store.getPendingChanges = async () => pending;
+    store.clearPendingChanges = async (seqs) => {
+        cleared = seqs;
+    };
+
+    assert.deepEqual(await store.flush(), { sent: 1, pending: 1 });
+    assert.deepEqual(cleared, [10]);
+});
+
+test('serves files from the root and nothing beside it', async () => {
+    const index = await fetch(`${base}/`);
+    assert.equal(index.status, 200);
+    assert.match(index.headers.get('content-type'), /text\/html/);
+
+    // A sibling directory shares the root's path as a prefix; the encoded
+    // slash keeps the URL parser from resolving the ".."
+    const sibling = `${path.basename(path.resolve(__dirname, '..'))}-x`;
+    const outside = await fetch(`${base}/..%2f${sibling}/index.html`);
+    assert.equal(outside.status, 403);
+});
+
+test('answers a malformed path with 400', async () => {
+    // fetch() would re-encode the path, so send it as written
+    const status = await new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: server.address().port, path: '/%E0%A4%A' }, response => {
+            response.resume();
+            resolve(response.statusCode);
+        }).on('error', reject);
+    });
+    assert.equal(status, 400);
+
+    const index = await fetch(`${base}/`);
+    assert.equal(index.status, 200);
+});
@@ -0,0 +1,58 @@
+// Handicap: tournament rounds from the recorded events, where 72-hole
+// totals must never pass for single rounds, and the WHS index from logged
+// rounds
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ChampionshipModel = require('../js/championship-model.js');
+const CourseRegistry = require('../js/course-registry.js');
+const Handicap = require('../js/handicap.js');
+
+const courses = new CourseRegistry(require('../data/courses.json'));
+const events = courses.normalizeEvents(ChampionshipModel.normalize(require('../data/championships.json')).events);
+
+const logged = (score, date, extra = {}) => ({ player: 'Ann', date, course: 'Mill Creek', score, rating: 70, slope: 113, ...extra });
+
+test('recorded events give only single rounds', () => {
+    const rounds = Handicap.roundsFromEvents(events, courses);
+    const pettyCups = events.filter(event => event.trophy === 'Petty Cup' && event.courses.length === 1 && event.rounds.length === 4);
+
+    assert.equal(pettyCups.length, 3);
+    assert.ok(rounds.every(round => round.score < 130), 'no 72-hole total counted as a round');
+    assert.ok(!rounds.some(round => pettyCups.some(event => event.id === round.eventId)));
+    assert.ok(rounds.every(round => round.source === 'event'));
+});
+
+test('team and net results are left out', () => {
+    const [team, net] = [
+        ChampionshipModel.createEvent({ trophy: 'Paultz', date: '2025-05-01', course: 'Mill Creek', champion: 'Pair', roster: ['Ann', 'Bob'], score: 62 }),
+        ChampionshipModel.createEvent({ trophy: 'Moose', date: '2025-05-02', course: 'Mill Creek', champion: 'Ann', score: 68, scoring: 'net' })
+    ].map((event, i) => ({ ...event, id: `event-${i}` }));
+    const solo = { ...ChampionshipModel.createEvent({ trophy: 'Moose', date: '2025-05-03', course: 'Mill Creek', champion: 'Ann', score: 80, field: [{ player: 'Bob', score: 84 }] }), id: 'solo' };
+
+    assert.deepEqual(Handicap.roundsFromEvents([team, net, solo], courses).map(round => [round.player, round.score, round.date]), [
+        ['Ann', 80, '2025-05-03'],
+        ['Bob', 84, '2025-05-03']
+    ]);
+});
+
+test('the index uses the WHS allowance for the rounds available', () => {
+    const rounds = [logged(80, '2025-04-01'), logged(84, '2025-04-02'), logged(78, '2025-04-03'), logged(90, '2025-04-04', { rating: null })];
+    const byPlayer = Handicap.roundsByPlayer(rounds, [], courses);
+
+    assert.deepEqual(byPlayer.Ann.map(round => round.differential), [10, 14, 8, null]);
+    // Three rated rounds: the best one, less 2
+    assert.deepEqual(Handicap.history(byPlayer.Ann).map(entry => entry.value), [6]);
+
+    const summary = Handicap.summary([...rounds, logged(79, '2025-04-05'), logged(75, '2025-04-06')], [], courses);
+    assert.equal(summary.Ann.current, 5);
+    assert.equal(summary.Ann.rated, 5);
+    assert.deepEqual(summary.Ann.history.map(entry => entry.value), [6, 7, 5]);
+});
+
+test('formats plus handicaps with a leading "+"', () => {
+    assert.equal(Handicap.format(-1.2), '+1.2');
+    assert.equal(Handicap.format(12), '12.0');
+    assert.equal(Handicap.format(null), '-');
+});
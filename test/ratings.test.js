@@ -0,0 +1,62 @@
+// Ratings rate only the players recorded in each event
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ChampionshipModel = require('../js/championship-model.js');
+const Ratings = require('../js/ratings.js');
+
+const { events } = ChampionshipModel.normalize(require('./fixtures/championships.json'));
+const byId = id => events.find(event => event.id === id);
+
+test('a finish above someone is a win against them', () => {
+    const state = Ratings.compute([byId('2020-05-01-cup-a')]);
+    assert.equal(state.ratings.Ann, Ratings.INITIAL + Ratings.K / 2);
+    assert.equal(state.ratings.Bob, Ratings.INITIAL - Ratings.K / 2);
+});
+
+test('players missing from an event are not rated in it', () => {
+    const state = Ratings.compute([byId('2020-05-01-cup-a'), byId('2021-05-01-cup-a')]);
+
+    // Bob played only the first, so the second leaves him alone
+    assert.equal(state.ratings.Bob, Ratings.INITIAL - Ratings.K / 2);
+    assert.deepEqual(state.history.Bob.map(entry => entry.eventId), ['2020-05-01-cup-a']);
+    assert.deepEqual(state.history.Cal.map(entry => entry.eventId), ['2021-05-01-cup-a']);
+});
+
+test('an event that records only its winner is not counted', () => {
+    const winnerOnly = ChampionshipModel.normalizeEvent({
+        ...byId('2021-05-01-cup-a'),
+        id: '2021-06-01-cup-a',
+        startDate: '2021-06-01',
+        results: [{ player: 'Ann', score: 70 }]
+    });
+    const before = Ratings.compute([byId('2020-05-01-cup-a')]);
+    const after = Ratings.add(before, winnerOnly, []);
+
+    assert.deepEqual(after, before);
+    assert.equal(Ratings.table(after).find(row => row.player === 'Ann').events, 1);
+});
+
+test('an event that records only one team is not counted', () => {
+    const teamOnly = ChampionshipModel.normalizeEvent({
+        ...byId('2023-08-01-cup-b'),
+        id: '2023-09-01-cup-b',
+        startDate: '2023-09-01',
+        results: [{ roster: ['Ann', 'Cal', 'Dee'], score: 60 }]
+    });
+    const state = Ratings.compute([byId('2020-05-01-cup-a'), teamOnly]);
+
+    assert.deepEqual(Object.keys(state.ratings).sort(), ['Ann', 'Bob']);
+    assert.equal(state.events, 1);
+    assert.deepEqual(state.history.Ann.map(entry => entry.eventId), ['2020-05-01-cup-a']);
+});
+
+test('teammates do not play each other', () => {
+    const state = Ratings.compute([byId('2023-08-01-cup-b')]);
+
+    // Each winner beats both losers; nobody scores against a teammate
+    assert.equal(state.ratings.Ann, Ratings.INITIAL + Ratings.K * (2 * 0.5) / 3);
+    assert.equal(state.ratings.Ann, state.ratings.Cal);
+    assert.equal(state.ratings.Bob, state.ratings.Dee);
+});
@@ -0,0 +1,65 @@
+// Scoring against the recorded Petty Cups: four rounds at Pinehurst No. 2
+// with only the 72-hole total known, and a two-round event with round
+// scores and the tees' rating and slope recorded
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ChampionshipModel = require('../js/championship-model.js');
+const CourseRegistry = require('../js/course-registry.js');
+const Scoring = require('../js/scoring.js');
+
+const courses = new CourseRegistry(require('../data/courses.json'));
+const events = courses.normalizeEvents(ChampionshipModel.normalize(require('../data/championships.json')).events);
+const pettyCup = events.find(event => event.id === '2025-09-08-petty-cup');
+
+const [twoRounds] = courses.normalizeEvents([ChampionshipModel.createEvent({
+    tournamentName: 'Fall Trip',
+    trophy: 'Petty Cup',
+    date: '2025-10-01',
+    course: 'Pinehurst No. 2',
+    courseDetails: { 'Pinehurst #2': { par: 72, rating: 74.1, slope: 136 } },
+    champion: 'Jim Flanagan',
+    score: 75,
+    rounds: [
+        { date: '2025-10-01', course: 'Pinehurst No. 2', score: 75 },
+        { date: '2025-10-02', course: 'Pinehurst No. 4', score: 71 }
+    ]
+})]);
+
+test('a 72-hole total is measured against four rounds of par', () => {
+    const [winner] = ChampionshipModel.winners(pettyCup);
+
+    assert.equal(winner.player, 'Jim Flanagan');
+    assert.equal(winner.score, 303);
+    assert.deepEqual(Scoring.roundsOf(pettyCup, courses).map(round => [round.number, round.course, round.par]), [
+        [1, 'Pinehurst #2', 72], [2, 'Pinehurst #2', 72], [3, 'Pinehurst #2', 72], [4, 'Pinehurst #2', 72]
+    ]);
+    assert.equal(Scoring.scoreToPar(pettyCup, winner, courses), 15);
+    assert.equal(Scoring.formatToPar(Scoring.scoreToPar(pettyCup, winner, courses)), '+15');
+    assert.equal(ChampionshipModel.averagePerRound(pettyCup, winner), 75.75);
+});
+
+test('a total without round scores gives no rounds', () => {
+    assert.deepEqual(Scoring.resultRounds(pettyCup, ChampionshipModel.winners(pettyCup)[0], courses), []);
+});
+
+test('round scores give per-round to-par and differentials', () => {
+    const rounds = Scoring.resultRounds(twoRounds, twoRounds.results[0], courses);
+
+    assert.deepEqual(rounds.map(round => [round.course, round.score, round.toPar, round.differential]), [
+        ['Pinehurst #2', 75, 3, 0.7],
+        ['Pinehurst #4', 71, -1, null]
+    ]);
+    assert.equal(Scoring.scoreToPar(twoRounds, twoRounds.results[0], courses), 2);
+    assert.equal(Scoring.differential(80, null, 120), null);
+});
+
+test('winning trends put every Petty Cup on a per-round footing', () => {
+    const trend = Scoring.winningTrends(events, courses)['Petty Cup'];
+    const byId = Object.fromEntries(trend.map(point => [point.event.id, point]));
+
+    assert.deepEqual(['2023-06-04-petty-cup', '2024-09-08-petty-cup', '2025-09-08-petty-cup']
+        .map(id => [byId[id].toPar, byId[id].perRound]), [[19, 4.75], [32, 8], [15, 3.75]]);
+    assert.ok(trend.every(point => Math.abs(point.perRound) < 20));
+});
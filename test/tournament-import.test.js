@@ -0,0 +1,72 @@
+// TournamentImport: a spreadsheet export parsed, mapped onto the form
+// fields and checked against the fixture's events before merging
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ChampionshipModel = require('../js/championship-model.js');
+const TournamentImport = require('../js/tournament-import.js');
+
+const { events } = ChampionshipModel.normalize(require('./fixtures/championships.json'));
+const trophies = ['Old Cup', 'Cup A', 'Cup B'];
+
+const csv = [
+    'Date,Trophy Type,Winner,Team Members,Course,Winning Score,Notes',
+    '5/1/25,cup a,Ann,,Mill Creek,69,"Fourth in a row, almost"',
+    '2025-08-01,Cup B,,"Bob; Dee",Mill Creek,61,',
+    '2024-05-01,Cup A,Ann,,Mill Creek,70,',
+    '2025-05-01,Cup A,Ann,,Mill Creek,69,Copied line',
+    '2/30/2025,Cup C,Cal,,,sixty,',
+    ''
+].join('\r\n');
+
+test('parses quoted cells and keeps source line numbers', () => {
+    const { headers, rows } = TournamentImport.parse(csv);
+
+    assert.equal(headers.length, 7);
+    assert.deepEqual(rows.map(row => row.line), [2, 3, 4, 5, 6]);
+    assert.equal(rows[0].cells[6], 'Fourth in a row, almost');
+
+    const tsv = TournamentImport.parse('date\tchampion\n"2024-05-01"\t"Ann ""the Hammer"""\n');
+    assert.deepEqual(tsv.rows[0].cells, ['2024-05-01', 'Ann "the Hammer"']);
+    assert.equal(TournamentImport.detectDelimiter('date;trophy;champion'), ';');
+});
+
+test('maps recognised headers onto form fields', () => {
+    const { headers } = TournamentImport.parse(csv);
+    assert.deepEqual(TournamentImport.guessMapping(headers), {
+        date: 0, trophy: 1, champion: 2, roster: 3, course: 4, score: 5, history: 6
+    });
+    assert.deepEqual(TournamentImport.guessMapping(['Tournament_Name', 'WHEN', 'Team']), {
+        date: 1, champion: 2, tournamentName: 0
+    });
+});
+
+test('reads ISO and US dates and rejects impossible ones', () => {
+    assert.equal(TournamentImport.parseDate('2024-05-31'), '2024-05-31');
+    assert.equal(TournamentImport.parseDate('5/31/2024'), '2024-05-31');
+    assert.equal(TournamentImport.parseDate('5/31/98'), '1998-05-31');
+    assert.equal(TournamentImport.parseDate('2/30/2025'), null);
+    assert.equal(TournamentImport.parseDate('May 31'), null);
+});
+
+test('sorts rows into new, duplicate and error', () => {
+    const { headers, rows } = TournamentImport.parse(csv);
+    const entries = TournamentImport.prepare(rows, TournamentImport.guessMapping(headers), { events, trophies });
+
+    assert.deepEqual(entries.map(entry => [entry.line, entry.status]), [
+        [2, 'new'], [3, 'new'], [4, 'duplicate'], [5, 'duplicate'], [6, 'error']
+    ]);
+    assert.deepEqual(TournamentImport.summarize(entries), { new: 2, duplicate: 2, error: 1 });
+
+    const [solo, team, existing, repeated, broken] = entries;
+    assert.equal(solo.event.trophy, 'Cup A');
+    assert.equal(solo.event.startDate, '2025-05-01');
+    assert.equal(solo.event.tournamentName, 'Cup A 2025');
+    assert.deepEqual(solo.event.results.map(result => [result.player, result.score]), [['Ann', 69]]);
+
+    assert.deepEqual(team.event.results[0].roster, ['Bob', 'Dee']);
+    assert.equal(existing.duplicateOf.id, '2024-05-01-cup-a');
+    assert.deepEqual(repeated.duplicateOf, { line: 2 });
+    assert.deepEqual(broken.errors, ['"2/30/2025" is not a date', 'Unknown trophy "Cup C"', '"sixty" is not a score']);
+});
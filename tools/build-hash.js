@@ -0,0 +1,59 @@
+// Service worker build hash
+// The service worker names its caches after BUILD_HASH, a hash of the files
+// it precaches, so a deploy that changes any of them installs fresh caches
+// and the dashboard offers to reload. Run this before deploying:
+//
+//   node tools/build-hash.js            -> writes the hash into service-worker.js
+//   node tools/build-hash.js --check    -> prints it and exits 1 if stale
+//
+// The dev server stamps the hash as it serves the worker, so local edits
+// are picked up without running this.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const WORKER = path.join(ROOT, 'service-worker.js');
+const HASH_LINE = /^const BUILD_HASH = '[^']*';$/m;
+
+// Local paths listed in the worker's STATIC_FILES; '/' is index.html
+function staticFiles(source) {
+    const list = source.match(/const STATIC_FILES = \[([\s\S]*?)\];/);
+    if (!list) throw new Error('STATIC_FILES not found in service-worker.js');
+
+    return [...list[1].matchAll(/'([^']+)'/g)]
+        .map(match => match[1])
+        .filter(url => url.startsWith('/') && url !== '/');
+}
+
+// Hash of the worker itself (less its hash line) and every precached file
+function buildHash(source = fs.readFileSync(WORKER, 'utf8')) {
+    const hash = crypto.createHash('sha256');
+    hash.update(source.replace(HASH_LINE, ''));
+    staticFiles(source).forEach(url => {
+        const file = path.join(ROOT, url);
+        hash.update(url);
+        if (fs.existsSync(file)) hash.update(fs.readFileSync(file));
+    });
+    return hash.digest('hex').slice(0, 10);
+}
+
+function stamp(source = fs.readFileSync(WORKER, 'utf8')) {
+    return source.replace(HASH_LINE, `const BUILD_HASH = '${buildHash(source)}';`);
+}
+
+if (require.main === module) {
+    const source = fs.readFileSync(WORKER, 'utf8');
+    const stamped = stamp(source);
+
+    if (process.argv.includes('--check')) {
+        console.log(buildHash(source));
+        process.exit(stamped === source ? 0 : 1);
+    }
+
+    fs.writeFileSync(WORKER, stamped);
+    console.log(`service-worker.js BUILD_HASH = ${buildHash(source)}`);
+}
+
+module.exports = { buildHash, stamp, staticFiles };
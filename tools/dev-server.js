@@ -0,0 +1,159 @@
+// Local development server
+// Serves the dashboard from the repository root and stands in for the sync
+// endpoint, so background sync can be exercised without a real backend.
+//
+//   node tools/dev-server.js            -> http://localhost:8080
+//   PORT=9000 node tools/dev-server.js
+//
+// Point <meta name="sync-endpoint"> in index.html at /api/sync to use it.
+// Received changes are kept in memory and listed by GET /api/sync; set
+// SYNC_LOG=path/to/file.json to also write them to disk.
+
+const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { stamp } = require('./build-hash.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = parseInt(process.env.PORT, 10) || 8080;
+const SYNC_LOG = process.env.SYNC_LOG || null;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
+};
+
+const receivedChanges = [];
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...CORS_HEADERS });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => {
+            data += chunk;
+        });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+async function handleSync(req, res) {
+    // CORS preflight; a 204 has no body
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, CORS_HEADERS);
+        return res.end();
+    }
+
+    if (req.method === 'GET') {
+        return sendJson(res, 200, { changes: receivedChanges });
+    }
+
+    if (req.method !== 'POST') {
+        return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(await readBody(req));
+    } catch (error) {
+        return sendJson(res, 400, { error: 'Invalid JSON' });
+    }
+
+    if (!payload || !Array.isArray(payload.changes)) {
+        return sendJson(res, 400, { error: 'Expected { changes: [...] }' });
+    }
+
+    const accepted = [];
+    payload.changes.forEach(change => {
+        if (change && change.eventId && (change.type === 'delete' || change.event)) {
+            receivedChanges.push({ ...change, receivedAt: new Date().toISOString() });
+            accepted.push(change.seq);
+        }
+    });
+
+    if (SYNC_LOG) {
+        fs.writeFileSync(SYNC_LOG, JSON.stringify(receivedChanges, null, 2));
+    }
+
+    console.log(`Sync: accepted ${accepted.length} of ${payload.changes.length} changes`);
+    return sendJson(res, 200, { accepted });
+}
+
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+        res.writeHead(400);
+        return res.end('Bad request');
+    }
+    const filePath = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+
+    // Anything outside the repository root
+    const relative = path.relative(ROOT, filePath);
+    if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+        res.writeHead(403);
+        return res.end('Forbidden');
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            return res.end('Not found');
+        }
+
+        // Cache names follow the files on disk, so edits reach the browser
+        const body = urlPath === '/service-worker.js' ? stamp(content.toString('utf8')) : content;
+        // ETags let the dashboard revalidate its cached data with a 304
+        const etag = `"${crypto.createHash('sha1').update(body).digest('hex').slice(0, 16)}"`;
+        if (req.headers['if-none-match'] === etag) {
+            res.writeHead(304, { ETag: etag, 'Cache-Control': 'no-cache' });
+            return res.end();
+        }
+
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            'Cache-Control': 'no-cache',
+            ETag: etag
+        });
+        res.end(body);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    if (req.url.startsWith('/api/sync')) {
+        handleSync(req, res).catch(error => {
+            console.error('Sync handler failed:', error);
+            sendJson(res, 500, { error: 'Internal error' });
+        });
+        return;
+    }
+
+    serveStatic(req, res);
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Golf dashboard dev server on http://localhost:${PORT}`);
+        console.log(`Sync endpoint: http://localhost:${PORT}/api/sync`);
+    });
+}
+
+module.exports = server;
@@ -0,0 +1,145 @@
+// App icons
+// Draws the home-screen icons listed in manifest.webmanifest (a flag on a
+// green, on the dashboard's blue) and writes them to icons/ as PNGs. No
+// image libraries: shapes are sampled 4x4 per pixel and encoded by hand.
+//
+//   node tools/icons.js
+//
+// Change the shapes or colours here and rerun it rather than editing the
+// PNGs, then run tools/build-hash.js since the icons are precached.
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const OUT = path.resolve(__dirname, '..', 'icons');
+const SAMPLES = 4;
+
+const COLORS = {
+    sky: [30, 60, 114],
+    skyLight: [42, 82, 152],
+    green: [76, 175, 80],
+    hole: [27, 94, 32],
+    flag: [198, 40, 40],
+    white: [255, 255, 255]
+};
+
+// Shapes in a unit square, drawn in order; the first that contains a point
+// paints it
+const SHAPES = [
+    { color: COLORS.white, inside: (x, y) => (x - 0.34) ** 2 + (y - 0.7) ** 2 <= 0.045 ** 2 },
+    { color: COLORS.flag, inside: (x, y) => x >= 0.515 && y >= 0.2 + (x - 0.515) * 0.44 && y <= 0.42 - (x - 0.515) * 0.44 },
+    { color: COLORS.white, inside: (x, y) => x >= 0.49 && x <= 0.515 && y >= 0.2 && y <= 0.74 },
+    { color: COLORS.hole, inside: (x, y) => ((x - 0.5) / 0.06) ** 2 + ((y - 0.745) / 0.022) ** 2 <= 1 },
+    { color: COLORS.green, inside: (x, y) => ((x - 0.5) / 0.34) ** 2 + ((y - 0.74) / 0.12) ** 2 <= 1 }
+];
+
+// icon: full colour on a rounded square; maskable: full-bleed background
+// with the artwork inside the 80% safe zone; badge: white on transparent,
+// for notifications
+const ICONS = [
+    { file: 'icon-192.png', size: 192, style: 'icon' },
+    { file: 'icon-512.png', size: 512, style: 'icon' },
+    { file: 'icon-maskable-512.png', size: 512, style: 'maskable' },
+    { file: 'apple-touch-icon.png', size: 180, style: 'maskable' },
+    { file: 'badge-96.png', size: 96, style: 'badge' }
+];
+
+function inRoundedSquare(x, y, radius) {
+    const dx = Math.max(radius - x, 0, x - (1 - radius));
+    const dy = Math.max(radius - y, 0, y - (1 - radius));
+    return dx * dx + dy * dy <= radius * radius;
+}
+
+// [r, g, b, a] of the point (x, y) in the unit square
+function sample(x, y, style) {
+    const scale = style === 'maskable' ? 0.8 : 1;
+    const ax = (x - 0.5) / scale + 0.5;
+    const ay = (y - 0.5) / scale + 0.5;
+    const shape = SHAPES.find(candidate => candidate.inside(ax, ay));
+
+    if (style === 'badge') {
+        return shape && shape.color !== COLORS.green ? [...COLORS.white, 255] : [0, 0, 0, 0];
+    }
+    if (style === 'icon' && !inRoundedSquare(x, y, 0.18)) return [0, 0, 0, 0];
+    if (shape) return [...shape.color, 255];
+
+    // Background fades from the dashboard's blue to its lighter blue
+    const t = (x + y) / 2;
+    return [...COLORS.sky.map((channel, i) => Math.round(channel + (COLORS.skyLight[i] - channel) * t)), 255];
+}
+
+function render(size, style) {
+    const pixels = Buffer.alloc(size * size * 4);
+    for (let py = 0; py < size; py++) {
+        for (let px = 0; px < size; px++) {
+            const total = [0, 0, 0, 0];
+            for (let sy = 0; sy < SAMPLES; sy++) {
+                for (let sx = 0; sx < SAMPLES; sx++) {
+                    const [r, g, b, a] = sample((px + (sx + 0.5) / SAMPLES) / size, (py + (sy + 0.5) / SAMPLES) / size, style);
+                    // Premultiplied, so transparent samples do not darken edges
+                    total[0] += r * a;
+                    total[1] += g * a;
+                    total[2] += b * a;
+                    total[3] += a;
+                }
+            }
+            const offset = (py * size + px) * 4;
+            const alpha = total[3] / (SAMPLES * SAMPLES);
+            for (let i = 0; i < 3; i++) pixels[offset + i] = total[3] ? Math.round(total[i] / total[3]) : 0;
+            pixels[offset + 3] = Math.round(alpha);
+        }
+    }
+    return pixels;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// 8-bit RGBA, no filtering
+function encodePng(size, pixels) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(size, 0);
+    header.writeUInt32BE(size, 4);
+    header.set([8, 6, 0, 0, 0], 8);
+
+    const rows = Buffer.alloc(size * (size * 4 + 1));
+    for (let y = 0; y < size; y++) {
+        pixels.copy(rows, y * (size * 4 + 1) + 1, y * size * 4, (y + 1) * size * 4);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(rows, { level: 9 })),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+if (require.main === module) {
+    fs.mkdirSync(OUT, { recursive: true });
+    ICONS.forEach(icon => {
+        fs.writeFileSync(path.join(OUT, icon.file), encodePng(icon.size, render(icon.size, icon.style)));
+        console.log(`icons/${icon.file} (${icon.size}x${icon.size}, ${icon.style})`);
+    });
+}
+
+module.exports = { ICONS, render, encodePng };